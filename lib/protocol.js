@@ -1,5 +1,19 @@
 'use strict';
 
+exports.errors = require('./protocol/errors');
 exports.messages = require('./protocol/messages');
 exports.Parser = require('./protocol/parser');
+exports.BloomFilter = require('./protocol/bloom-filter');
+exports.IBLT = require('./protocol/iblt');
+exports.StrataEstimator = require('./protocol/strata-estimator');
+exports.RevocationSet = require('./protocol/revocation-set');
+exports.ChainStore = require('./protocol/chain-store');
+exports.FileChainStore = require('./protocol/file-chain-store');
+exports.policies = require('./protocol/policies');
+exports.Subscription = require('./protocol/subscription');
+exports.Extension = require('./protocol/extension');
+exports.Reconciler = require('./protocol/reconciler');
 exports.Stream = require('./protocol/stream');
+exports.MemoryStore = require('./protocol/memory-store');
+exports.Replicator = require('./protocol/replicator');
+exports.Multiplexer = require('./protocol/multiplexer');
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const sodium = require('sodium-universal');
+
+const murmur = require('./murmur');
+
+const Buffer = require('buffer').Buffer;
+
+// See "Bloom Filter" in spec.md
+const SEED_MULTIPLIER = 0xfa68676f;
+
+const DEFAULT_FALSE_POSITIVE = 0.01;
+
+function BloomFilter(options) {
+  options = Object.assign({}, options);
+
+  let size = options.size;
+  let n = options.n;
+  if (size === undefined) {
+    const count = Math.max(1, options.count | 0);
+    const p = options.falsePositive === undefined ? DEFAULT_FALSE_POSITIVE :
+      options.falsePositive;
+    assert(p > 0 && p < 1, '`options.falsePositive` must be in (0, 1)');
+
+    size = Math.ceil(-count * Math.log(p) / (Math.LN2 * Math.LN2));
+  }
+  if (n === undefined) {
+    // Optimal `n` for the `size` alone would be way too big
+    assert(options.size === undefined || options.count !== undefined,
+           '`options.n` or `options.count` is required with `options.size`');
+
+    const count = Math.max(1, options.count | 0);
+    n = Math.max(1, Math.round(size / count * Math.LN2));
+  }
+
+  assert(size > 0 && size === (size >>> 0),
+         '`options.size` must be a positive uint32');
+  assert(n > 0 && n === (n >>> 0), '`options.n` must be a positive uint32');
+
+  this.size = size;
+  this.n = n;
+
+  if (options.seed === undefined) {
+    const seed = Buffer.alloc(4);
+    sodium.randombytes_buf(seed);
+    this.seed = seed.readUInt32LE(0);
+  } else {
+    assert(options.seed === (options.seed >>> 0),
+           '`options.seed` must be a uint32');
+    this.seed = options.seed;
+  }
+
+  if (options.filter === undefined) {
+    this.filter = Buffer.alloc(Math.ceil(this.size / 8));
+  } else {
+    assert(Buffer.isBuffer(options.filter),
+           '`options.filter` must be a Buffer');
+    assert(BloomFilter.isValidSize(options.filter, this.size),
+           '`options.filter` length doesn\'t match `options.size`');
+    this.filter = options.filter;
+  }
+}
+module.exports = BloomFilter;
+
+BloomFilter.isValidSize = function isValidSize(filter, size) {
+  return filter.length * 8 >= size && size >= (filter.length - 1) * 8;
+};
+
+BloomFilter.fromSync = function fromSync(body) {
+  return new BloomFilter({
+    filter: body.filter,
+    size: body.size,
+    n: body.n,
+    seed: body.seed
+  });
+};
+
+BloomFilter.prototype._index = function _index(value, i) {
+  const seed = (Math.imul(i, SEED_MULTIPLIER) + this.seed) >>> 0;
+  return murmur(value, seed) % this.size;
+};
+
+BloomFilter.prototype.add = function add(value) {
+  for (let i = 0; i < this.n; i++) {
+    const index = this._index(value, i);
+    this.filter[index >>> 3] |= 1 << (index & 7);
+  }
+  return this;
+};
+
+BloomFilter.prototype.test = function test(value) {
+  for (let i = 0; i < this.n; i++) {
+    const index = this._index(value, i);
+    if ((this.filter[index >>> 3] & (1 << (index & 7))) === 0)
+      return false;
+  }
+  return true;
+};
+
+BloomFilter.prototype.toSync = function toSync(extra) {
+  return Object.assign({}, extra, {
+    filter: this.filter,
+    size: this.size,
+    n: this.n,
+    seed: this.seed
+  });
+};
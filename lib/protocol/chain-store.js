@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('util');
+const constants = require('hyperbloom-constants');
+const EventEmitter = require('events').EventEmitter;
+
+const Buffer = require('buffer').Buffer;
+
+const PUBLIC_KEY_SIZE = constants.PUBLIC_KEY_SIZE;
+
+// In-memory store of our best (shortest) Trust Chain per feed. Shared by the
+// streams of the same key pair, so that the chain shortened by one of them
+// (see `chain-update` event of `Stream`) is used by all of them.
+//
+// Emits `update` with `{ feedKey, chain }` for every stored chain.
+function ChainStore() {
+  EventEmitter.call(this);
+
+  // Feed key in hex => chain
+  this._chains = new Map();
+
+  // Every stream listens for updates
+  this.setMaxListeners(0);
+}
+util.inherits(ChainStore, EventEmitter);
+module.exports = ChainStore;
+
+function validate(feedKey, chain) {
+  assert(Buffer.isBuffer(feedKey), '`feedKey` must be a Buffer');
+  assert.equal(feedKey.length, PUBLIC_KEY_SIZE,
+               `\`feedKey\` must have size ${PUBLIC_KEY_SIZE}`);
+  if (chain === undefined)
+    return;
+
+  assert(Array.isArray(chain), '`chain` must be an Array');
+  assert(chain.length <= constants.MAX_CHAIN_LENGTH,
+         `Maximum chain length size is ${constants.MAX_CHAIN_LENGTH}`);
+  chain.forEach((link) => {
+    assert(Buffer.isBuffer(link), '`chain` must contain Buffers');
+  });
+}
+
+// Invoked after every change of the stored chains
+ChainStore.prototype._persist = function _persist() {
+};
+
+ChainStore.prototype.get = function get(feedKey) {
+  validate(feedKey);
+
+  const chain = this._chains.get(feedKey.toString('hex'));
+  return chain === undefined ? null : chain.slice();
+};
+
+// Store the chain unconditionally
+ChainStore.prototype.set = function set(feedKey, chain) {
+  validate(feedKey, chain);
+
+  chain = chain.slice();
+  this._chains.set(feedKey.toString('hex'), chain);
+  this._persist();
+
+  this.emit('update', { feedKey, chain: chain.slice() });
+};
+
+// Store the chain only if it is shorter than the stored one, returns `true`
+// if it was stored
+ChainStore.prototype.update = function update(feedKey, chain) {
+  const current = this.get(feedKey);
+  validate(feedKey, chain);
+
+  if (current !== null && current.length <= chain.length)
+    return false;
+
+  this.set(feedKey, chain);
+  return true;
+};
+
+ChainStore.prototype.delete = function _delete(feedKey) {
+  validate(feedKey);
+
+  if (!this._chains.delete(feedKey.toString('hex')))
+    return false;
+
+  this._persist();
+  return true;
+};
+
+// `{ feedKey: [ link, ... ] }` in hex
+ChainStore.prototype.toJSON = function toJSON() {
+  const res = {};
+  this._chains.forEach((chain, feedKey) => {
+    res[feedKey] = chain.map(link => link.toString('hex'));
+  });
+  return res;
+};
+
+ChainStore.prototype._load = function _load(json) {
+  Object.keys(json).forEach((feedKey) => {
+    const chain = json[feedKey].map(link => Buffer.from(link, 'hex'));
+    validate(Buffer.from(feedKey, 'hex'), chain);
+    this._chains.set(feedKey, chain);
+  });
+};
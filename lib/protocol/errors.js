@@ -0,0 +1,71 @@
+'use strict';
+
+const util = require('util');
+
+// Reason codes sent in `Close` message
+const reasons = {
+  ERR_NORMAL: 0,
+  ERR_PROTOCOL: 1,
+  ERR_MESSAGE_TOO_BIG: 2,
+  ERR_AUTHENTICATION: 3,
+  ERR_FEED_MISMATCH: 4,
+  ERR_HANDSHAKE: 5,
+  ERR_UNSUPPORTED: 6,
+  ERR_TIMEOUT: 7,
+  ERR_UNAUTHORIZED: 8,
+  ERR_REVOKED: 9,
+  ERR_EXPIRED: 10
+};
+exports.reasons = reasons;
+
+const codes = {};
+Object.keys(reasons).forEach((code) => {
+  codes[reasons[code]] = code;
+});
+
+exports.reasonToCode = function reasonToCode(reason) {
+  return codes.hasOwnProperty(reason) ? codes[reason] : 'ERR_UNKNOWN';
+};
+
+exports.codeToReason = function codeToReason(code) {
+  return reasons.hasOwnProperty(code) ? reasons[code] : reasons.ERR_PROTOCOL;
+};
+
+function init(err, name, code, message, ctor) {
+  err.name = name;
+  err.code = code;
+  err.message = message;
+  if (Error.captureStackTrace)
+    Error.captureStackTrace(err, ctor);
+}
+
+// Message violating the protocol
+function ProtocolError(code, message) {
+  Error.call(this);
+  init(this, 'ProtocolError', code, message, ProtocolError);
+}
+util.inherits(ProtocolError, Error);
+exports.ProtocolError = ProtocolError;
+
+// Remote peer failed to prove its identity, or can't be talked to
+function HandshakeError(code, message) {
+  Error.call(this);
+  init(this, 'HandshakeError', code, message, HandshakeError);
+}
+util.inherits(HandshakeError, Error);
+exports.HandshakeError = HandshakeError;
+
+function TimeoutError(code, message) {
+  Error.call(this);
+  init(this, 'TimeoutError', code, message, TimeoutError);
+}
+util.inherits(TimeoutError, Error);
+exports.TimeoutError = TimeoutError;
+
+// Operation can't be completed in the current state of the stream
+function StateError(code, message) {
+  Error.call(this);
+  init(this, 'StateError', code, message, StateError);
+}
+util.inherits(StateError, Error);
+exports.StateError = StateError;
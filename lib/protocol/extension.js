@@ -0,0 +1,46 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+const protocol = require('../protocol');
+const messages = protocol.messages;
+
+// Printable ASCII, so that both peers sort the names in the same way
+const NAME_RE = /^[\x21-\x7e]+$/;
+
+// Application-defined message type, see `stream.registerExtension()`.
+//
+// Emits `message` with decoded messages from the remote peer. `enabled` is set
+// once both peers have advertised the extension in `Handshake`.
+function Extension(stream, name, options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  assert.equal(typeof name, 'string', '`name` must be a String');
+  assert(NAME_RE.test(name), '`name` must consist of printable ASCII');
+
+  // protocol-buffers compatible `encode`/`decode`/`encodingLength`
+  const encoding = options.encoding || messages.Raw;
+  assert(typeof encoding.encode === 'function' &&
+             typeof encoding.decode === 'function' &&
+             typeof encoding.encodingLength === 'function',
+         '`options.encoding` must implement `encode()`, `decode()` and ' +
+             '`encodingLength()`');
+
+  this.stream = stream;
+  this.name = name;
+  this.encoding = encoding;
+
+  // Message id, allocated during the handshake
+  this.id = null;
+  this.enabled = false;
+}
+util.inherits(Extension, EventEmitter);
+module.exports = Extension;
+
+Extension.prototype.send = function send(message, callback) {
+  return this.stream._sendExtension(this, message, callback);
+};
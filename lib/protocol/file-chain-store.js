@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('assert');
+const debug = require('debug')('hyperbloom:chain-store');
+const fs = require('fs');
+const util = require('util');
+
+const protocol = require('../protocol');
+const ChainStore = protocol.ChainStore;
+
+// Suffix of the temporary files, unique among the stores of all processes
+let lastTmpId = 0;
+
+// `ChainStore` persisted to the JSON file at `options.path`. The file is read
+// on construction (unreadable content is ignored), and replaced atomically (by
+// renaming the synced temporary file) after every change. The error of the
+// last write is passed to `flush()` callbacks until the next successful write,
+// and emitted as `error` only if it has listeners.
+function FileChainStore(options) {
+  ChainStore.call(this);
+
+  options = options || {};
+  assert.equal(typeof options.path, 'string',
+               '`options.path` must be a String');
+
+  this.path = options.path;
+
+  this._writing = false;
+  this._dirty = false;
+  this._flushCallbacks = [];
+  this._lastError = null;
+
+  let content = null;
+  try {
+    content = fs.readFileSync(this.path).toString();
+  } catch (e) {
+    if (e.code !== 'ENOENT')
+      throw e;
+  }
+  if (content === null)
+    return;
+
+  try {
+    this._load(JSON.parse(content));
+  } catch (e) {
+    // Overwritten by the next write
+    debug('corrupt file path=%s error=%s', this.path, e.message);
+    this._chains.clear();
+  }
+}
+util.inherits(FileChainStore, ChainStore);
+module.exports = FileChainStore;
+
+FileChainStore.prototype._persist = function _persist() {
+  this._dirty = true;
+  if (!this._writing)
+    this._write();
+};
+
+FileChainStore.prototype._write = function _write() {
+  this._writing = true;
+  this._dirty = false;
+
+  // Changes made during the write are persisted by the next one
+  const callbacks = this._flushCallbacks;
+  this._flushCallbacks = [];
+
+  lastTmpId = (lastTmpId + 1) >>> 0;
+  const tmp = `${this.path}.${process.pid}.${lastTmpId}.tmp`;
+  const done = (err) => {
+    this._writing = false;
+    this._lastError = err || null;
+    if (err) {
+      debug('write error=%s', err.message);
+      if (this.listenerCount('error') !== 0)
+        this.emit('error', err);
+    }
+    callbacks.forEach(callback => callback(err || null));
+
+    if (this._dirty)
+      return this._write();
+
+    // Nothing has changed since this write started
+    const waiting = this._flushCallbacks;
+    this._flushCallbacks = [];
+    waiting.forEach(callback => callback(err || null));
+  };
+
+  debug('write path=%s', this.path);
+  writeDurable(tmp, JSON.stringify(this), (err) => {
+    if (err)
+      return fs.unlink(tmp, () => done(err));
+    fs.rename(tmp, this.path, (err) => {
+      if (err)
+        return fs.unlink(tmp, () => done(err));
+      done(null);
+    });
+  });
+};
+
+// Write the file and flush it to the disk, so that the renamed file is never
+// empty or partial after the crash
+function writeDurable(path, content, callback) {
+  fs.open(path, 'w', (err, fd) => {
+    if (err)
+      return callback(err);
+
+    const close = (err) => {
+      fs.close(fd, closeErr => callback(err || closeErr || null));
+    };
+
+    fs.writeFile(fd, content, (err) => {
+      if (err)
+        return close(err);
+      fs.fsync(fd, close);
+    });
+  });
+}
+
+// Invoke `callback` once all changes are written to the file
+FileChainStore.prototype.flush = function flush(callback) {
+  if (!this._writing && !this._dirty)
+    return process.nextTick(callback, this._lastError);
+
+  this._flushCallbacks.push(callback);
+};
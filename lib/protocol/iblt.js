@@ -0,0 +1,199 @@
+'use strict';
+
+const assert = require('assert');
+const sodium = require('sodium-universal');
+
+const murmur = require('./murmur');
+
+const Buffer = require('buffer').Buffer;
+
+// See "Invertible Bloom Lookup Table" in spec.md
+const SEED_MULTIPLIER = 0xfa68676f;
+
+// Number of cells each key is added to, one per sub-table
+const HASH_COUNT = 3;
+
+// `[ int32 count ][ 8-byte key XOR ][ uint32 check XOR ]`, little-endian
+const KEY_SIZE = 8;
+const CELL_SIZE = 16;
+const COUNT_OFF = 0;
+const KEY_OFF = 4;
+const CHECK_OFF = 12;
+
+// Cells per difference, and the smallest table
+const CELLS_PER_VALUE = 2;
+const MIN_SIZE = 24;
+
+function derive(seed, i) {
+  return (Math.imul(i, SEED_MULTIPLIER) + seed) >>> 0;
+}
+
+// Invertible Bloom Lookup Table of 64-bit value hashes (keys). Subtracting the
+// tables of two sets leaves only the keys from their symmetric difference.
+function IBLT(options) {
+  options = Object.assign({}, options);
+
+  assert(options.size > 0 && options.size % HASH_COUNT === 0,
+         `\`options.size\` must be a positive multiple of ${HASH_COUNT}`);
+  this.size = options.size;
+
+  if (options.seed === undefined) {
+    const seed = Buffer.alloc(4);
+    sodium.randombytes_buf(seed);
+    this.seed = seed.readUInt32LE(0);
+  } else {
+    assert(options.seed === (options.seed >>> 0),
+           '`options.seed` must be a uint32');
+    this.seed = options.seed;
+  }
+
+  if (options.cells === undefined) {
+    this.cells = Buffer.alloc(this.size * CELL_SIZE);
+  } else {
+    assert(Buffer.isBuffer(options.cells), '`options.cells` must be a Buffer');
+    assert.equal(options.cells.length, this.size * CELL_SIZE,
+                 '`options.cells` length doesn\'t match `options.size`');
+    this.cells = options.cells;
+  }
+}
+module.exports = IBLT;
+
+IBLT.HASH_COUNT = HASH_COUNT;
+IBLT.KEY_SIZE = KEY_SIZE;
+IBLT.CELL_SIZE = CELL_SIZE;
+
+IBLT.isValidSize = function isValidSize(cells) {
+  return cells.length !== 0 && cells.length % (CELL_SIZE * HASH_COUNT) === 0;
+};
+
+IBLT.fromCells = function fromCells(cells, seed) {
+  return new IBLT({ size: cells.length / CELL_SIZE, seed, cells });
+};
+
+// Number of cells needed to decode `difference` keys with high probability
+IBLT.sizeFor = function sizeFor(difference) {
+  const size = Math.max(MIN_SIZE, Math.ceil(difference * CELLS_PER_VALUE));
+  return Math.ceil(size / HASH_COUNT) * HASH_COUNT;
+};
+
+IBLT.key = function key(value, seed) {
+  const res = Buffer.alloc(KEY_SIZE);
+  res.writeUInt32LE(murmur(value, derive(seed, 0)), 0);
+  res.writeUInt32LE(murmur(value, derive(seed, 1)), 4);
+  return res;
+};
+
+IBLT.prototype._check = function _check(key) {
+  return murmur(key, derive(this.seed, 2));
+};
+
+IBLT.prototype._index = function _index(key, i) {
+  const sub = this.size / HASH_COUNT;
+  return i * sub + murmur(key, derive(this.seed, 3 + i)) % sub;
+};
+
+IBLT.prototype._update = function _update(key, delta) {
+  const check = this._check(key);
+  for (let i = 0; i < HASH_COUNT; i++) {
+    const off = this._index(key, i) * CELL_SIZE;
+    const cells = this.cells;
+
+    cells.writeInt32LE(cells.readInt32LE(off + COUNT_OFF) + delta,
+                       off + COUNT_OFF);
+    for (let j = 0; j < KEY_SIZE; j++)
+      cells[off + KEY_OFF + j] ^= key[j];
+    cells.writeUInt32LE((cells.readUInt32LE(off + CHECK_OFF) ^ check) >>> 0,
+                        off + CHECK_OFF);
+  }
+};
+
+IBLT.prototype.add = function add(value) {
+  this._update(IBLT.key(value, this.seed), 1);
+  return this;
+};
+
+IBLT.prototype.addKey = function addKey(key) {
+  assert.equal(key.length, KEY_SIZE, `\`key\` must have size ${KEY_SIZE}`);
+  this._update(key, 1);
+  return this;
+};
+
+IBLT.prototype.subtract = function subtract(other) {
+  assert(this.size === other.size && this.seed === other.seed,
+         'Tables must have the same `size` and `seed`');
+
+  const res = new IBLT({ size: this.size, seed: this.seed });
+  const cells = res.cells;
+  for (let off = 0; off < cells.length; off += CELL_SIZE) {
+    cells.writeInt32LE(this.cells.readInt32LE(off + COUNT_OFF) -
+                           other.cells.readInt32LE(off + COUNT_OFF),
+                       off + COUNT_OFF);
+    for (let j = KEY_OFF; j < CELL_SIZE; j++)
+      cells[off + j] = this.cells[off + j] ^ other.cells[off + j];
+  }
+  return res;
+};
+
+// Cell with a single key, either added (`1`) or subtracted (`-1`)
+IBLT.prototype._pure = function _pure(off) {
+  const count = this.cells.readInt32LE(off + COUNT_OFF);
+  if (count !== 1 && count !== -1)
+    return null;
+
+  const key = Buffer.from(this.cells.slice(off + KEY_OFF, off + CHECK_OFF));
+  if (this._check(key) !== this.cells.readUInt32LE(off + CHECK_OFF))
+    return null;
+  return { key, count };
+};
+
+IBLT.prototype._hasCell = function _hasCell(key, off) {
+  for (let i = 0; i < HASH_COUNT; i++)
+    if (this._index(key, i) * CELL_SIZE === off)
+      return true;
+  return false;
+};
+
+// Keys of the difference `{ local, remote }`, where `local` were added to
+// `this` and `remote` to the subtracted table. `null` if the table can't be
+// fully decoded. Destroys the table.
+IBLT.prototype.decode = function decode() {
+  const local = [];
+  const remote = [];
+
+  // Remote cells are arbitrary, a key in the cell that it doesn't hash to
+  // could be peeled over and over again
+  const peeled = new Set();
+
+  const queue = [];
+  for (let off = 0; off < this.cells.length; off += CELL_SIZE)
+    queue.push(off);
+
+  while (queue.length !== 0) {
+    const off = queue.pop();
+    const pure = this._pure(off);
+    if (pure === null)
+      continue;
+
+    const hex = pure.key.toString('hex');
+    if (peeled.has(hex) || peeled.size >= this.size ||
+        !this._hasCell(pure.key, off)) {
+      return null;
+    }
+    peeled.add(hex);
+
+    if (pure.count === 1)
+      local.push(pure.key);
+    else
+      remote.push(pure.key);
+
+    this._update(pure.key, -pure.count);
+    for (let i = 0; i < HASH_COUNT; i++)
+      queue.push(this._index(pure.key, i) * CELL_SIZE);
+  }
+
+  for (let i = 0; i < this.cells.length; i++)
+    if (this.cells[i] !== 0)
+      return null;
+
+  return { local, remote };
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+const Buffer = require('buffer').Buffer;
+
+// Sorted in-memory value store.
+//
+// Store interface used by `Replicator`:
+//
+// * `store.insert(values, callback)` - insert values, `callback(err, added)`
+//   receives the values that weren't present in the store before
+// * `store.range({ start, end, limit }, callback)` - `callback(err, values)`
+//   receives sorted values that are greater or equal than `start` and less than
+//   `end` (if present), at most `limit` (if not zero) of them
+//
+// Optionally, the store may emit `values` with the added values before invoking
+// the `insert()` callback. `Replicator` forwards them to the live
+// subscriptions of the remote peer.
+function MemoryStore(values) {
+  EventEmitter.call(this);
+
+  this.values = [];
+
+  // Shared by the replicators of all peers
+  this.setMaxListeners(0);
+
+  if (values)
+    this.insertSync(values);
+}
+util.inherits(MemoryStore, EventEmitter);
+module.exports = MemoryStore;
+
+// Index of the first value that is greater or equal than `value`
+MemoryStore.prototype._lowerBound = function _lowerBound(value) {
+  let left = 0;
+  let right = this.values.length;
+  while (left < right) {
+    const middle = (left + right) >>> 1;
+    if (Buffer.compare(this.values[middle], value) < 0)
+      left = middle + 1;
+    else
+      right = middle;
+  }
+  return left;
+};
+
+MemoryStore.prototype.insertSync = function insertSync(values) {
+  const added = [];
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    assert(Buffer.isBuffer(value), 'Values must be Buffers');
+
+    const index = this._lowerBound(value);
+    if (index < this.values.length && this.values[index].equals(value))
+      continue;
+
+    this.values.splice(index, 0, value);
+    added.push(value);
+  }
+
+  if (added.length !== 0)
+    this.emit('values', added);
+  return added;
+};
+
+MemoryStore.prototype.rangeSync = function rangeSync(range) {
+  range = range || {};
+
+  const start = range.start ? this._lowerBound(range.start) : 0;
+  let end = range.end ? this._lowerBound(range.end) : this.values.length;
+  if (range.limit)
+    end = Math.min(end, start + range.limit);
+
+  return this.values.slice(start, Math.max(start, end));
+};
+
+MemoryStore.prototype.insert = function insert(values, callback) {
+  let added;
+  try {
+    added = this.insertSync(values);
+  } catch (e) {
+    return process.nextTick(callback, e);
+  }
+  process.nextTick(callback, null, added);
+};
+
+MemoryStore.prototype.range = function range(range, callback) {
+  process.nextTick(callback, null, this.rangeSync(range));
+};
@@ -1,18 +1,33 @@
 'use strict';
 
 const protobuf = require('protocol-buffers');
+const varint = require('varint');
+
+const Buffer = require('buffer').Buffer;
+
+// Field 1, wire type 0 (varint)
+const LEGACY_FILTER_OPTIONS_KEY = 0x08;
 
 const p = protobuf(`
     message Open {
       required bytes feed = 1;
       required bytes nonce = 2;
+      optional bytes ephemeral = 3;
     }
 
     message Handshake {
+      message Limits {
+        optional uint32 maxMessageSize = 1;
+        optional uint32 maxDataValues = 2;
+        optional uint32 maxFilterSize = 3;
+        optional uint32 maxFilterHashes = 4;
+      }
+
       required bytes id = 1;
       repeated string extensions = 2;
       required bytes signature = 3;
       repeated bytes chain = 4;
+      optional Limits limits = 5;
     }
 
     message Sync {
@@ -27,42 +42,334 @@ const p = protobuf(`
       required uint32 seed = 4;
       optional uint32 limit = 5;
       optional Range range = 6;
+      optional uint32 id = 7;
     }
 
     message FilterOptions {
       required uint32 size = 1;
-      required uint32 n = 1;
+      required uint32 n = 2;
     }
 
     message Data {
       repeated bytes values = 1;
       required bytes signature = 2;
+      optional uint32 id = 3;
+      optional uint32 subscription = 4;
+      optional bytes next = 5;
+      optional uint32 binding = 6;
     }
 
     message Request {
       required bytes start = 1;
       optional bytes end = 2;
       optional uint32 limit = 3;
+      optional uint32 id = 4;
     }
 
     message Link {
       required bytes link = 1;
     }
+
+    message Done {
+      required uint32 id = 1;
+    }
+
+    message Ping {
+      required uint32 seq = 1;
+    }
+
+    message Pong {
+      required uint32 seq = 1;
+    }
+
+    message Close {
+      required uint32 reason = 1;
+      optional string message = 2;
+    }
+
+    message Revocation {
+      required bytes publicKey = 1;
+      required bytes signer = 2;
+      required bytes signature = 3;
+    }
+
+    message ChainUpdate {
+      repeated bytes chain = 1;
+      required bytes signature = 2;
+    }
+
+    message Subscribe {
+      required uint32 id = 1;
+      optional bytes start = 2;
+      optional bytes end = 3;
+    }
+
+    message Unsubscribe {
+      required uint32 id = 1;
+      optional bool rejected = 2;
+    }
+
+    message Estimate {
+      required uint32 id = 1;
+      required uint32 seed = 2;
+      repeated bytes strata = 3;
+    }
+
+    message Table {
+      required uint32 id = 1;
+      required bytes cells = 2;
+    }
+
+    message Want {
+      required uint32 id = 1;
+      required uint32 seed = 2;
+      repeated bytes keys = 3;
+    }
+
+    message Fingerprints {
+      message Range {
+        required bytes start = 1;
+        optional bytes end = 2;
+        required bytes fingerprint = 3;
+        required uint32 count = 4;
+        optional bool leaf = 5;
+      }
+
+      required uint32 id = 1;
+      repeated Range ranges = 2;
+      optional bool response = 3;
+      optional bool more = 4;
+    }
+
+    message ForwardedData {
+      repeated bytes values = 1;
+      required bytes signature = 2;
+      repeated bytes chain = 3;
+      optional uint32 binding = 4;
+    }
+
+    message Rekey {
+      required uint32 generation = 1;
+    }
+
+    message MuxHello {
+      required bytes nonce = 1;
+    }
+
+    message MuxAnnounce {
+      required uint32 channel = 1;
+      required bytes token = 2;
+    }
+
+    message MuxData {
+      required uint32 channel = 1;
+      required bytes data = 2;
+    }
+
+    message MuxClose {
+      required uint32 channel = 1;
+    }
 `);
 
+exports.extensions = {
+  // Peer uses fixed `FilterOptions` encoding
+  FILTER_OPTIONS_V2: 'filter-options-v2',
+
+  // Peer answers `Sync` and `Request` with `id` using `Data` with the same `id`
+  // followed by `Done`
+  QUERY_ID: 'query-id',
+
+  // Peer answers `Ping` with `Pong`
+  PING: 'ping',
+
+  // Peer accepts and forwards `Revocation`
+  REVOCATION: 'revocation',
+
+  // Peer accepts `ChainUpdate`
+  CHAIN_UPDATE: 'chain-update',
+
+  // Peer answers `Subscribe` with `Data` for every new value
+  SUBSCRIBE: 'subscribe',
+
+  // Peer sets `next` in the last `Data` answering `Request` with `limit`, if
+  // there are more values in the range
+  CURSOR: 'cursor',
+
+  // Peer answers `Estimate` with `Table`, and `Want` with `Data`
+  IBLT: 'iblt',
+
+  // Peer answers `Fingerprints`
+  FINGERPRINTS: 'fingerprints',
+
+  // Peer accepts `Rekey`
+  REKEY: 'rekey',
+
+  // Peer verifies `Data` signatures with `binding`
+  DATA_BINDING: 'data-binding',
+
+  // Peer accepts `ForwardedData`
+  FORWARD: 'forward'
+};
+
+// What else is covered by the `Data` signature, see `Data` in spec.md
+exports.binding = {
+  NONE: 0,
+
+  // Nonces of the session
+  SESSION: 1,
+
+  // Public key of the signer
+  SIGNER: 2
+};
+
 exports.id = {
   HANDSHAKE: 0,
   SYNC: 1,
   FILTER_OPTIONS: 2,
   DATA: 3,
   REQUEST: 4,
-  LINK: 5
+  LINK: 5,
+  DONE: 6,
+  PING: 7,
+  PONG: 8,
+  CLOSE: 9,
+  REVOCATION: 10,
+  CHAIN_UPDATE: 11,
+  SUBSCRIBE: 12,
+  UNSUBSCRIBE: 13,
+  ESTIMATE: 14,
+  TABLE: 15,
+  WANT: 16,
+  FINGERPRINTS: 17,
+  REKEY: 18,
+  FORWARDED_DATA: 19
 };
 
+// Ids of the messages defined by `Extension`s start from here
+exports.EXTENSION_ID_BASE = 64;
+
 exports.Open = p.Open;
 exports.Handshake = p.Handshake;
 exports.Sync = p.Sync;
 exports.FilterOptions = p.FilterOptions;
+
+// Encoding used by peers without `filter-options-v2` extension, both `size` and
+// `n` were declared as field 1 in it
+exports.LegacyFilterOptions = {
+  encodingLength(msg) {
+    return 2 + varint.encodingLength(msg.size) + varint.encodingLength(msg.n);
+  },
+
+  encode(msg, buf, offset) {
+    if (!buf)
+      buf = Buffer.alloc(exports.LegacyFilterOptions.encodingLength(msg));
+    offset = offset || 0;
+
+    buf[offset++] = LEGACY_FILTER_OPTIONS_KEY;
+    varint.encode(msg.size, buf, offset);
+    offset += varint.encode.bytes;
+    buf[offset++] = LEGACY_FILTER_OPTIONS_KEY;
+    varint.encode(msg.n, buf, offset);
+
+    return buf;
+  },
+
+  decode(buf, offset, end) {
+    offset = offset || 0;
+    end = end === undefined ? buf.length : end;
+
+    const fields = [];
+    while (offset < end && fields.length < 2) {
+      if (buf[offset++] !== LEGACY_FILTER_OPTIONS_KEY)
+        throw new Error('Decoded message is not valid');
+      fields.push(varint.decode(buf, offset));
+      offset += varint.decode.bytes;
+    }
+    if (fields.length !== 2)
+      throw new Error('Decoded message is not valid');
+
+    return { size: fields[0], n: fields[1] };
+  }
+};
+
 exports.Data = p.Data;
 exports.Request = p.Request;
 exports.Link = p.Link;
+exports.Done = p.Done;
+exports.Ping = p.Ping;
+exports.Pong = p.Pong;
+exports.Close = p.Close;
+exports.Revocation = p.Revocation;
+exports.ChainUpdate = p.ChainUpdate;
+exports.Subscribe = p.Subscribe;
+exports.Unsubscribe = p.Unsubscribe;
+exports.Estimate = p.Estimate;
+exports.Table = p.Table;
+exports.Want = p.Want;
+exports.Fingerprints = p.Fingerprints;
+exports.Rekey = p.Rekey;
+exports.ForwardedData = p.ForwardedData;
+
+// Encoding of `Extension` messages, when no other is provided
+exports.Raw = {
+  encodingLength(buf) {
+    return buf.length;
+  },
+
+  encode(buf, out, offset) {
+    if (!out)
+      return Buffer.from(buf);
+    buf.copy(out, offset || 0);
+    return out;
+  },
+
+  decode(buf, offset, end) {
+    return buf.slice(offset || 0, end === undefined ? buf.length : end);
+  }
+};
+
+// Multiplexer framing, see "Multiplexing" in spec.md
+exports.mux = {
+  MAGIC: Buffer.from('d572c8a9', 'hex'),
+
+  id: {
+    HELLO: 0,
+    ANNOUNCE: 1,
+    DATA: 2,
+    CLOSE: 3
+  },
+
+  Hello: p.MuxHello,
+  Announce: p.MuxAnnounce,
+  Data: p.MuxData,
+  Close: p.MuxClose
+};
+
+// Returns `true` if the field with number `field` is present in the encoded
+// message. Needed to tell explicit zero values from the missing optional fields
+exports.hasField = function hasField(buf, field) {
+  let offset = 0;
+  while (offset < buf.length) {
+    const key = varint.decode(buf, offset);
+    offset += varint.decode.bytes;
+
+    if ((key >>> 3) === field)
+      return true;
+
+    const wire = key & 7;
+    if (wire === 0) {
+      varint.decode(buf, offset);
+      offset += varint.decode.bytes;
+    } else if (wire === 1) {
+      offset += 8;
+    } else if (wire === 2) {
+      const len = varint.decode(buf, offset);
+      offset += varint.decode.bytes + len;
+    } else if (wire === 5) {
+      offset += 4;
+    } else {
+      return false;
+    }
+  }
+  return false;
+};
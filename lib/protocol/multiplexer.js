@@ -0,0 +1,403 @@
+'use strict';
+
+const assert = require('assert');
+const debug = require('debug')('hyperbloom:multiplexer');
+const util = require('util');
+const sodium = require('sodium-universal');
+const varint = require('varint');
+const constants = require('hyperbloom-constants');
+const Duplex = require('stream').Duplex;
+const OffsetBuffer = require('obuf');
+
+const protocol = require('../protocol');
+const mux = protocol.messages.mux;
+const errors = protocol.errors;
+const Stream = protocol.Stream;
+
+const Buffer = require('buffer').Buffer;
+
+const HASH_KEY = constants.HASH_KEY;
+const HASH_SIZE = constants.HASH_SIZE;
+
+const MAGIC = mux.MAGIC;
+const NONCE_SIZE = 32;
+
+// Channel data is split into chunks of this size, so that the frames stay
+// small regardless of `maxMessageSize` of the channel streams
+const MAX_DATA_SIZE = 64 * 1024;
+
+// Enough for the biggest chunk and framing
+const MAX_FRAME_SIZE = MAX_DATA_SIZE + 1024;
+
+const MAX_CHANNEL_ID = 0xffffffff;
+
+const DEFAULT_MAX_ANNOUNCES = 1024;
+
+function hash(input) {
+  const out = Buffer.alloc(HASH_SIZE);
+  sodium.crypto_generichash(out, input, HASH_KEY);
+  return out;
+}
+
+function Multiplexer(options) {
+  Duplex.call(this);
+
+  options = options || {};
+
+  // Number of the remote announcements kept until the feed is opened locally
+  this.maxAnnounces = options.maxAnnounces || DEFAULT_MAX_ANNOUNCES;
+
+  this._nonce = {
+    local: Buffer.alloc(NONCE_SIZE),
+    remote: null
+  };
+  sodium.randombytes_buf(this._nonce.local);
+
+  this._pending = new OffsetBuffer();
+  this._state = 'magic';
+  this._waiting = MAGIC.length;
+  this._varint = { value: 0, shift: 0 };
+
+  this._lastChannelId = 0;
+
+  // Local channels by local id
+  this._channels = new Map();
+
+  // Local channels by the token that the remote side sends for them
+  this._tokens = new Map();
+
+  // Active channels by remote id
+  this._remoteChannels = new Map();
+
+  // Remote announcements without matching local channel, token => remote id.
+  // The oldest ones are dropped after `maxAnnounces`
+  this._announces = new Map();
+
+  // Channel stream that doesn't accept more `Data`, the parsing is resumed on
+  // its `drain`
+  this._blocked = null;
+
+  // Channel streams paused due to backpressure
+  this._paused = new Set();
+
+  this._destroyed = false;
+
+  this.push(MAGIC);
+  this._sendFrame(mux.id.HELLO, mux.Hello, { nonce: this._nonce.local });
+}
+util.inherits(Multiplexer, Duplex);
+module.exports = Multiplexer;
+
+Multiplexer.prototype._sendFrame = function _sendFrame(id, Type, content) {
+  const idLen = varint.encodingLength(id);
+  const msgLen = Type.encodingLength(content);
+
+  const buf = Buffer.alloc(varint.encodingLength(idLen + msgLen) +
+                           idLen +
+                           msgLen);
+
+  let offset = 0;
+  varint.encode(idLen + msgLen, buf, offset);
+  offset += varint.encode.bytes;
+
+  varint.encode(id, buf, offset);
+  offset += varint.encode.bytes;
+
+  Type.encode(content, buf, offset);
+
+  return this.push(buf);
+};
+
+Multiplexer.prototype._read = function _read() {
+  const paused = Array.from(this._paused);
+  this._paused.clear();
+  paused.forEach(stream => stream.resume());
+};
+
+Multiplexer.prototype._write = function _write(data, enc, cb) {
+  this._pending.push(data);
+  this._process(cb);
+};
+
+Multiplexer.prototype._process = function _process(cb) {
+  while (this._pending.size >= this._waiting) {
+    try {
+      if (!this._parse())
+        break;
+    } catch (e) {
+      return cb(e);
+    }
+
+    if (this._blocked !== null)
+      return this._waitDrain(cb);
+  }
+
+  cb(null);
+};
+
+Multiplexer.prototype._waitDrain = function _waitDrain(cb) {
+  const stream = this._blocked;
+  this._blocked = null;
+
+  debug('waiting for channel drain');
+  const resume = () => {
+    stream.removeListener('drain', resume);
+    stream.removeListener('close', resume);
+    this._process(cb);
+  };
+  stream.on('drain', resume);
+  stream.on('close', resume);
+};
+
+Multiplexer.prototype._parse = function _parse() {
+  if (this._state === 'magic') {
+    const actual = this._pending.take(MAGIC.length);
+    if (!actual.equals(MAGIC))
+      throw new errors.ProtocolError('ERR_PROTOCOL',
+                                     'Invalid multiplexer MAGIC value');
+
+    this._state = 'length';
+    this._waiting = 1;
+    return true;
+  }
+
+  if (this._state === 'length')
+    return this._parseLength();
+
+  const frame = this._pending.take(this._waiting);
+  this._state = 'length';
+  this._waiting = 1;
+
+  const id = varint.decode(frame, 0);
+  const offset = varint.decode.bytes;
+
+  if (this._nonce.remote === null && id !== mux.id.HELLO)
+    throw new errors.ProtocolError(
+        'ERR_PROTOCOL', 'Hello must be the first multiplexer frame');
+
+  if (id === mux.id.HELLO)
+    this._onHello(mux.Hello.decode(frame, offset, frame.length));
+  else if (id === mux.id.ANNOUNCE)
+    this._onAnnounce(mux.Announce.decode(frame, offset, frame.length));
+  else if (id === mux.id.DATA)
+    this._onData(mux.Data.decode(frame, offset, frame.length));
+  else if (id === mux.id.CLOSE)
+    this._onClose(mux.Close.decode(frame, offset, frame.length));
+
+  // Unknown frames are ignored
+  return true;
+};
+
+Multiplexer.prototype._parseLength = function _parseLength() {
+  while (this._pending.size !== 0) {
+    const b = this._pending.readUInt8();
+
+    this._varint.value |= (b & 0x7f) << this._varint.shift;
+    this._varint.shift += 7;
+    if (this._varint.shift >= 25)
+      throw new errors.ProtocolError('ERR_PROTOCOL',
+                                     'varint doesn\'t fit into 32-bit value');
+
+    if (b & 0x80)
+      continue;
+
+    this._state = 'body';
+    this._waiting = this._varint.value >>> 0;
+    this._varint.value = 0;
+    this._varint.shift = 0;
+
+    if (this._waiting > MAX_FRAME_SIZE)
+      throw new errors.ProtocolError('ERR_MESSAGE_TOO_BIG',
+                                       'Multiplexer frame is too big');
+    return true;
+  }
+  return false;
+};
+
+Multiplexer.prototype._onHello = function _onHello(body) {
+  if (this._nonce.remote !== null)
+    throw new errors.ProtocolError('ERR_PROTOCOL',
+                                   'Hello must be sent only once');
+  if (body.nonce.length !== NONCE_SIZE)
+    throw new errors.ProtocolError('ERR_PROTOCOL',
+                                   'Invalid multiplexer nonce size');
+
+  this._nonce.remote = body.nonce;
+  this._channels.forEach(channel => this._announce(channel));
+};
+
+Multiplexer.prototype._onAnnounce = function _onAnnounce(body) {
+  const key = body.token.toString('hex');
+  const channel = this._tokens.get(key);
+  if (channel === undefined || channel.remoteId !== null) {
+    this._announces.delete(key);
+    this._announces.set(key, body.channel);
+    if (this._announces.size > this.maxAnnounces)
+      this._announces.delete(this._announces.keys().next().value);
+    return;
+  }
+
+  this._activate(channel, body.channel);
+};
+
+Multiplexer.prototype._onData = function _onData(body) {
+  const channel = this._remoteChannels.get(body.channel);
+
+  // Possibly closed already
+  if (channel === undefined)
+    return;
+
+  if (!channel.stream.write(body.data))
+    this._blocked = channel.stream;
+};
+
+Multiplexer.prototype._onClose = function _onClose(body) {
+  this._announces.forEach((remoteId, key) => {
+    if (remoteId === body.channel)
+      this._announces.delete(key);
+  });
+
+  const channel = this._remoteChannels.get(body.channel);
+  if (channel === undefined)
+    return;
+
+  debug('remote closed channel=%d', channel.id);
+  this._remoteChannels.delete(body.channel);
+  channel.remoteId = null;
+  this._closeChannel(channel);
+};
+
+Multiplexer.prototype._announce = function _announce(channel) {
+  if (this._nonce.remote === null || channel.announced)
+    return;
+  channel.announced = true;
+
+  // Only the peers that know the same discovery key can match the token
+  const token = hash(Buffer.concat([ channel.feed, this._nonce.remote ]));
+  this._sendFrame(mux.id.ANNOUNCE, mux.Announce, {
+    channel: channel.id,
+    token
+  });
+};
+
+Multiplexer.prototype._activate = function _activate(channel, remoteId) {
+  debug('activate channel=%d remote=%d', channel.id, remoteId);
+
+  channel.remoteId = remoteId;
+  this._remoteChannels.set(remoteId, channel);
+
+  const stream = channel.stream;
+  stream.on('data', (data) => {
+    if (channel.closed)
+      return;
+
+    let more = true;
+    for (let off = 0; off < data.length; off += MAX_DATA_SIZE) {
+      more = this._sendFrame(mux.id.DATA, mux.Data, {
+        channel: channel.id,
+        data: data.slice(off, off + MAX_DATA_SIZE)
+      });
+    }
+    if (!more) {
+      stream.pause();
+      this._paused.add(stream);
+    }
+  });
+  stream.once('end', () => this._closeChannel(channel));
+
+  stream.start(channel.options);
+  this.emit('channel', stream);
+};
+
+Multiplexer.prototype._nextChannelId = function _nextChannelId() {
+  do {
+    this._lastChannelId = (this._lastChannelId % MAX_CHANNEL_ID) + 1;
+  } while (this._channels.has(this._lastChannelId));
+  return this._lastChannelId;
+};
+
+Multiplexer.prototype._closeChannel = function _closeChannel(channel) {
+  if (channel.closed)
+    return;
+  channel.closed = true;
+
+  debug('close channel=%d', channel.id);
+
+  this._channels.delete(channel.id);
+  this._tokens.delete(channel.token);
+  this._paused.delete(channel.stream);
+  if (channel.remoteId !== null)
+    this._remoteChannels.delete(channel.remoteId);
+
+  if (channel.announced && !this._destroyed)
+    this._sendFrame(mux.id.CLOSE, mux.Close, { channel: channel.id });
+
+  channel.stream.destroy();
+};
+
+// Public API
+
+Multiplexer.prototype.open = function open(options, streamOptions) {
+  assert(!this._destroyed, 'Multiplexer is destroyed');
+  assert.equal(typeof options, 'object', '`options` must be an Object');
+
+  const stream = new Stream(streamOptions);
+
+  // NOTE: `options` are validated by `stream.start()` once the remote peer
+  // announces the same feed
+  const feed = options.discoveryKey || hash(options.feedKey);
+  assert.equal(feed.length, HASH_SIZE,
+               `\`options.discoveryKey\` must have size ${HASH_SIZE}`);
+
+  const channel = {
+    id: this._nextChannelId(),
+    remoteId: null,
+    stream,
+    options,
+    feed,
+
+    // Token that remote side sends for this channel
+    token: hash(Buffer.concat([ feed, this._nonce.local ])).toString('hex'),
+
+    announced: false,
+    closed: false
+  };
+
+  assert(!this._tokens.has(channel.token), 'The feed is already open');
+
+  this._channels.set(channel.id, channel);
+  this._tokens.set(channel.token, channel);
+  stream.once('close', () => this._closeChannel(channel));
+
+  this._announce(channel);
+
+  const remoteId = this._announces.get(channel.token);
+  if (remoteId !== undefined) {
+    this._announces.delete(channel.token);
+    this._activate(channel, remoteId);
+  }
+
+  return stream;
+};
+
+Multiplexer.prototype.close = function close(stream) {
+  this._channels.forEach((channel) => {
+    if (channel.stream === stream)
+      this._closeChannel(channel);
+  });
+};
+
+Multiplexer.prototype.destroy = function destroy(err) {
+  if (this._destroyed)
+    return;
+  this._destroyed = true;
+
+  debug('destroyed');
+
+  const channels = Array.from(this._channels.values());
+  channels.forEach(channel => this._closeChannel(channel));
+
+  if (err)
+    this.emit('error', err);
+  this.emit('close');
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const C1 = 0xcc9e2d51;
+const C2 = 0x1b873593;
+
+function rotl32(x, r) {
+  return (x << r) | (x >>> (32 - r));
+}
+
+// Murmur3_32 (x86 variant), see: https://en.wikipedia.org/wiki/MurmurHash
+module.exports = function murmur(data, seed) {
+  const len = data.length;
+  const blocks = len - (len & 3);
+
+  let h = seed >>> 0;
+  let k;
+
+  let i = 0;
+  for (; i < blocks; i += 4) {
+    k = data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) |
+        (data[i + 3] << 24);
+
+    k = Math.imul(k, C1);
+    k = rotl32(k, 15);
+    k = Math.imul(k, C2);
+
+    h ^= k;
+    h = rotl32(h, 13);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  k = 0;
+  switch (len & 3) {
+    case 3: k ^= data[i + 2] << 16;
+    // fall through
+    case 2: k ^= data[i + 1] << 8;
+    // fall through
+    case 1:
+      k ^= data[i];
+      k = Math.imul(k, C1);
+      k = rotl32(k, 15);
+      k = Math.imul(k, C2);
+      h ^= k;
+  }
+
+  h ^= len;
+
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+
+  return h >>> 0;
+};
@@ -11,12 +11,17 @@ const OffsetBuffer = require('obuf');
 
 const protocol = require('../protocol');
 const messages = protocol.messages;
+const errors = protocol.errors;
 
 const Buffer = require('buffer').Buffer;
 
-// This is enough to transfer bloom filter with about 64k entries
+// This is enough to transfer bloom filter with about 64k entries. Peers that
+// don't advertise their limit use it
 const MAX_PENDING_SIZE = 256 * 1024;
 
+// Enough for `Handshake` with the longest chain
+const MIN_MESSAGE_SIZE = 16 * 1024;
+
 const HASH_KEY = constants.HASH_KEY;
 const HASH_SIZE = constants.HASH_SIZE;
 
@@ -25,12 +30,22 @@ const MAGIC = constants.MAGIC;
 // X-Salsa 20 uses 192-bit nonce
 const NONCE_SIZE = 24;
 
+// X25519 public key
+const EPHEMERAL_SIZE = 32;
+
 let debugCounter = 0;
 
-function Parser(id) {
+function Parser(id, options) {
   Duplex.call(this);
 
+  options = options || {};
+
   this.id = id;
+
+  // Maximum size of incoming message
+  this.maxMessageSize = options.maxMessageSize || MAX_PENDING_SIZE;
+  assert(this.maxMessageSize >= MIN_MESSAGE_SIZE,
+         `\`options.maxMessageSize\` must be at least ${MIN_MESSAGE_SIZE}`);
   if (debug.enabled)
     this._debugId = id.slice(0, 4).toString('hex') + '/' + (++debugCounter);
 
@@ -40,11 +55,21 @@ function Parser(id) {
     remote: null
   };
 
+  // Authenticated encryption state, `{ key, nonce }`. Used instead of `_xor`
+  // when both peers sent `ephemeral` in `Open`
+  this._box = {
+    self: null,
+    remote: null
+  };
+
   this._pending = new OffsetBuffer();
   this._setState('magic', MAGIC.length);
   this._varint = { value: 0, shift: 0 };
   this._gotHandshake = false;
 
+  // Set to `false` once the remote advertises `filter-options-v2`
+  this._legacyFilterOptions = true;
+
   // `true` when we don't want new `_write()` calls
   this._paused = {
     enabled: false,
@@ -55,6 +80,8 @@ function Parser(id) {
 util.inherits(Parser, Duplex);
 module.exports = Parser;
 
+Parser.MAX_PENDING_SIZE = MAX_PENDING_SIZE;
+
 Parser.prototype._write = function _write(data, enc, cb) {
   if (this._xor.remote !== null)
     this._xor.remote.update(data, data);
@@ -73,8 +100,9 @@ Parser.prototype._process = function _process(cb) {
     }
   }
 
-  if (this._pending.size >= MAX_PENDING_SIZE)
-    return cb(new Error('Message is too big'));
+  if (this._pending.size >= this.maxMessageSize)
+    return cb(new errors.ProtocolError('ERR_MESSAGE_TOO_BIG',
+                                         'Message is too big'));
 
   if (this._paused.enabled) {
     assert(this._paused.callback === null);
@@ -89,6 +117,11 @@ Parser.prototype._read = function _read(bytes) {
   // no-op, we `.push()`
 };
 
+// Destroy the stream because of a failure
+Parser.prototype._fail = function _fail(err) {
+  this.destroy(err);
+};
+
 Parser.prototype._randomBytes = function _randomBytes(size) {
   const res = Buffer.alloc(size);
   sodium.randombytes_buf(res);
@@ -110,9 +143,12 @@ Parser.prototype._parse = function _parse() {
     return this._parseOpen();
 
   // msg:body
-  const msg = this._pending.take(this._waiting);
+  let msg = this._pending.take(this._waiting);
   this._setState('msg:length', 1);
 
+  if (this._box.remote !== null)
+    msg = this._unbox(msg);
+
   let offset = 0;
 
   const id = varint.decode(msg, offset);
@@ -128,7 +164,8 @@ Parser.prototype._parse = function _parse() {
     Type = messages.Sync;
   } else if (id === messages.id.FILTER_OPTIONS) {
     type = 'filter-options';
-    Type = messages.FilterOptions;
+    Type = this._legacyFilterOptions ? messages.LegacyFilterOptions :
+      messages.FilterOptions;
   } else if (id === messages.id.DATA) {
     type = 'data';
     Type = messages.Data;
@@ -138,20 +175,73 @@ Parser.prototype._parse = function _parse() {
   } else if (id === messages.id.LINK) {
     type = 'link';
     Type = messages.Link;
+  } else if (id === messages.id.DONE) {
+    type = 'done';
+    Type = messages.Done;
+  } else if (id === messages.id.PING) {
+    type = 'ping';
+    Type = messages.Ping;
+  } else if (id === messages.id.PONG) {
+    type = 'pong';
+    Type = messages.Pong;
+  } else if (id === messages.id.CLOSE) {
+    type = 'close';
+    Type = messages.Close;
+  } else if (id === messages.id.REVOCATION) {
+    type = 'revocation';
+    Type = messages.Revocation;
+  } else if (id === messages.id.CHAIN_UPDATE) {
+    type = 'chain-update';
+    Type = messages.ChainUpdate;
+  } else if (id === messages.id.SUBSCRIBE) {
+    type = 'subscribe';
+    Type = messages.Subscribe;
+  } else if (id === messages.id.UNSUBSCRIBE) {
+    type = 'unsubscribe';
+    Type = messages.Unsubscribe;
+  } else if (id === messages.id.ESTIMATE) {
+    type = 'estimate';
+    Type = messages.Estimate;
+  } else if (id === messages.id.TABLE) {
+    type = 'table';
+    Type = messages.Table;
+  } else if (id === messages.id.WANT) {
+    type = 'want';
+    Type = messages.Want;
+  } else if (id === messages.id.FINGERPRINTS) {
+    type = 'fingerprints';
+    Type = messages.Fingerprints;
+  } else if (id === messages.id.REKEY) {
+    type = 'rekey';
+    Type = messages.Rekey;
+  } else if (id === messages.id.FORWARDED_DATA) {
+    type = 'forwarded-data';
+    Type = messages.ForwardedData;
+  } else if (id >= messages.EXTENSION_ID_BASE) {
+    type = 'extension';
+    Type = null;
   } else {
     // Unknown message, ignore
     return true;
   }
 
   if (!this._gotHandshake && type !== 'handshake')
-    throw new Error('Handshake must be the first message after Open');
+    throw new errors.ProtocolError(
+        'ERR_PROTOCOL', 'Handshake must be the first message after Open');
   if (this._gotHandshake && type === 'handshake')
-    throw new Error('Handshake must be sent only once');
+    throw new errors.ProtocolError('ERR_PROTOCOL',
+                                   'Handshake must be sent only once');
 
   debug('[%s] parser message type type=%s', this._debugId, type);
 
   this._gotHandshake = true;
 
+  // Extensions have their own encoding
+  if (type === 'extension') {
+    this._onExtension(id, msg.slice(offset));
+    return true;
+  }
+
   const body = Type.decode(msg, offset, msg.length);
   if (type === 'handshake')
     this._onHandshake(body);
@@ -159,6 +249,38 @@ Parser.prototype._parse = function _parse() {
     this._onLink(body);
   else if (type === 'data')
     this._onData(body);
+  else if (type === 'sync')
+    this._onSync(body, msg.slice(offset));
+  else if (type === 'request')
+    this._onRequest(body, msg.slice(offset));
+  else if (type === 'done')
+    this._onDone(body);
+  else if (type === 'ping')
+    this._onPing(body);
+  else if (type === 'pong')
+    this._onPong(body);
+  else if (type === 'close')
+    this._onClose(body);
+  else if (type === 'revocation')
+    this._onRevocation(body);
+  else if (type === 'chain-update')
+    this._onChainUpdate(body);
+  else if (type === 'subscribe')
+    this._onSubscribe(body);
+  else if (type === 'unsubscribe')
+    this._onUnsubscribe(body);
+  else if (type === 'estimate')
+    this._onEstimate(body);
+  else if (type === 'table')
+    this._onTable(body);
+  else if (type === 'want')
+    this._onWant(body);
+  else if (type === 'fingerprints')
+    this._onFingerprints(body);
+  else if (type === 'rekey')
+    this._onRekey(body);
+  else if (type === 'forwarded-data')
+    this._onForwardedData(body);
   else
     this.emit('message', { type, body });
 
@@ -168,7 +290,7 @@ Parser.prototype._parse = function _parse() {
 Parser.prototype._parseMagic = function _parseMagic() {
   const actual = this._pending.take(MAGIC.length);
   if (!actual.equals(MAGIC))
-    throw new Error('Invalid MAGIC value');
+    throw new errors.ProtocolError('ERR_PROTOCOL', 'Invalid MAGIC value');
 
   this._setState('open:length', 1);
   return true;
@@ -183,14 +305,16 @@ Parser.prototype._parseLength = function _parseLength() {
     this._varint.value |= rest << this._varint.shift;
     this._varint.shift += 7;
     if (this._varint.shift >= 25)
-      throw new Error('varint doesn\'t fit into 32-bit value');
+      throw new errors.ProtocolError('ERR_PROTOCOL',
+                                     'varint doesn\'t fit into 32-bit value');
 
     if (!msb) {
       this._setState(this._state === 'open:length' ? 'open:body' : 'msg:body',
                      this._varint.value >>> 0);
 
-      if (this._waiting > MAX_PENDING_SIZE)
-        throw new Error('Message length is too big');
+      if (this._waiting > this.maxMessageSize)
+        throw new errors.ProtocolError('ERR_MESSAGE_TOO_BIG',
+                                       'Message length is too big');
 
       this._varint.value = 0;
       this._varint.shift = 0;
@@ -204,46 +328,85 @@ Parser.prototype._parseLength = function _parseLength() {
 Parser.prototype._parseOpen = function _parseOpen() {
   const raw = this._pending.take(this._waiting);
 
-  this._setState('paused', Infinity);
-
   const open = messages.Open.decode(raw);
   if (open.feed.length !== HASH_SIZE)
-    throw new Error('Invalid feed size');
+    throw new errors.ProtocolError('ERR_PROTOCOL', 'Invalid feed size');
   if (open.nonce.length !== NONCE_SIZE)
-    throw new Error('Invalid nonce size');
+    throw new errors.ProtocolError('ERR_PROTOCOL', 'Invalid nonce size');
+  if (open.ephemeral !== null && open.ephemeral.length !== EPHEMERAL_SIZE)
+    throw new errors.ProtocolError('ERR_PROTOCOL',
+                                   'Invalid ephemeral key size');
 
-  assert(!this._paused.enabled);
-  const pending = this._pending.take(this._pending.size);
-  this._paused.pending = pending;
-  this._paused.enabled = true;
+  // NOTE: The rest of the data can't be decrypted until `Open` is processed
+  this._pauseParsing();
+  this._paused.pending = this._pending.take(this._pending.size);
 
   this.emit('open', open);
 
   return true;
 };
 
+Parser.prototype._pauseParsing = function _pauseParsing() {
+  assert(!this._paused.enabled);
+  this._setState('paused', Infinity);
+  this._paused.enabled = true;
+};
+
 Parser.prototype._resumeParsing = function _resumeParsing() {
   this._setState('msg:length', 1);
 
   this._paused.enabled = false;
 
-  // Decrypt pending data
+  // Decrypt data received with `Open`
   const pending = this._paused.pending;
   this._paused.pending = null;
-  this._xor.remote.update(pending, pending);
-  this._pending.push(pending);
+  if (pending !== null) {
+    if (this._xor.remote !== null)
+      this._xor.remote.update(pending, pending);
+    this._pending.push(pending);
+  }
 
   let cb = this._paused.callback;
   this._paused.callback = null;
   if (!cb) {
     cb = (err) => {
       if (err)
-        throw err;
+        this._fail(err);
     };
   }
   this._process(cb);
 };
 
+Parser.prototype._nextNonce = function _nextNonce(box) {
+  const nonce = Buffer.from(box.nonce);
+
+  // Little-endian increment
+  for (let i = 0; i < box.nonce.length; i++) {
+    box.nonce[i] = (box.nonce[i] + 1) & 0xff;
+    if (box.nonce[i] !== 0)
+      break;
+  }
+
+  return nonce;
+};
+
+Parser.prototype._unbox = function _unbox(msg) {
+  if (msg.length < sodium.crypto_secretbox_MACBYTES)
+    throw new errors.ProtocolError('ERR_AUTHENTICATION',
+                                   'Encrypted message is too short');
+
+  const box = this._box.remote;
+  const out = Buffer.alloc(msg.length - sodium.crypto_secretbox_MACBYTES);
+  const opened = sodium.crypto_secretbox_open_easy(out, msg,
+                                                   this._nextNonce(box),
+                                                   box.key);
+  if (!opened)
+    throw new errors.ProtocolError('ERR_AUTHENTICATION',
+                                   'Failed to authenticate message');
+
+  return out;
+};
+
 Parser.prototype._onHandshake = function _onHandshake(body) {
   throw new Error('Should not be called');
 };
@@ -255,3 +418,73 @@ Parser.prototype._onLink = function _onLink(body) {
 Parser.prototype._onData = function _onData(body) {
   throw new Error('Should not be called');
 };
+
+Parser.prototype._onSync = function _onSync(body, raw) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onRequest = function _onRequest(body, raw) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onDone = function _onDone(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onPing = function _onPing(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onPong = function _onPong(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onClose = function _onClose(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onRevocation = function _onRevocation(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onChainUpdate = function _onChainUpdate(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onSubscribe = function _onSubscribe(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onUnsubscribe = function _onUnsubscribe(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onEstimate = function _onEstimate(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onTable = function _onTable(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onWant = function _onWant(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onFingerprints = function _onFingerprints(body) {
+  throw new Error('Should not be called');
+};
+
+// NOTE: Called before the next message is unboxed, so that it is decrypted
+// with the new key
+Parser.prototype._onRekey = function _onRekey(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onForwardedData = function _onForwardedData(body) {
+  throw new Error('Should not be called');
+};
+
+Parser.prototype._onExtension = function _onExtension(id, payload) {
+  throw new Error('Should not be called');
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+
+const Buffer = require('buffer').Buffer;
+
+// Authorization policies for `stream.start({ authorize })`. Each policy is
+// invoked with `{ id, publicKey, chain }` of the remote peer, where `chain`
+// holds parsed Trust Links, and returns `true` if the peer may proceed
+
+function toKeySet(keys) {
+  assert(Array.isArray(keys), '`keys` must be an Array');
+  return new Set(keys.map((key) => {
+    return Buffer.isBuffer(key) ? key.toString('hex') : key;
+  }));
+}
+
+// Only peers signing with one of the `keys`
+exports.allow = function allow(keys) {
+  const set = toKeySet(keys);
+  return function allowPolicy(peer) {
+    return set.has(peer.publicKey.toString('hex'));
+  };
+};
+
+// Any peer except the ones signing with one of the `keys`, or having one of
+// them in the Trust Chain (the keys may have issued new links)
+exports.deny = function deny(keys) {
+  const set = toKeySet(keys);
+  return function denyPolicy(peer) {
+    if (set.has(peer.publicKey.toString('hex')))
+      return false;
+    return !peer.chain.some(link => set.has(link.publicKey.toString('hex')));
+  };
+};
+
+// Peers with Trust Chain of at most `depth` links, `0` means feed owner only
+exports.maxDepth = function maxDepth(depth) {
+  assert.equal(typeof depth, 'number', '`depth` must be a Number');
+  return function maxDepthPolicy(peer) {
+    return peer.chain.length <= depth;
+  };
+};
+
+// Peers satisfying all synchronous `policies`
+exports.all = function all(policies) {
+  assert(Array.isArray(policies), '`policies` must be an Array');
+  return function allPolicy(peer) {
+    return policies.every(policy => policy(peer) === true);
+  };
+};
@@ -0,0 +1,344 @@
+'use strict';
+
+const assert = require('assert');
+const debug = require('debug')('hyperbloom:reconciler');
+const sodium = require('sodium-universal');
+const constants = require('hyperbloom-constants');
+
+const protocol = require('../protocol');
+const errors = protocol.errors;
+
+const Buffer = require('buffer').Buffer;
+
+const EMPTY = Buffer.alloc(0);
+
+const HASH_KEY = constants.HASH_KEY;
+
+// See "Range Reconciliation" in spec.md
+const FINGERPRINT_SIZE = 16;
+const BRANCH_FACTOR = 16;
+const LEAF_SIZE = 32;
+
+// Page size of the remote values of the leaf range, the remote peer may have
+// many more of them than we do
+const PULL_PAGE_SIZE = LEAF_SIZE * BRANCH_FACTOR;
+
+// Room for the fields of `Fingerprints` other than the range bounds
+const RANGE_OVERHEAD = 32;
+const FINGERPRINTS_OVERHEAD = 1024;
+
+// Range-based set reconciliation of `store` with the remote peer over `stream`,
+// see `stream.reconcile()`. Ranges with different fingerprints are split
+// until they are small enough to be exchanged with `Data`. The initiator
+// fails if the remote peer doesn't answer for `options.timeout` ms (`0` -
+// never).
+function Reconciler(stream, store, options) {
+  assert(store && typeof store.insert === 'function' &&
+             typeof store.range === 'function',
+         '`store` must implement `insert()` and `range()`');
+
+  options = options || {};
+
+  this.stream = stream;
+  this.store = store;
+  this.timeout = options.timeout || 0;
+
+  this.sent = 0;
+  this.received = 0;
+
+  // Initiator state, see `start()`
+  this.id = null;
+  this._callback = null;
+  this._timer = null;
+
+  // `Fingerprints` waiting for the response, and leaf exchanges in progress
+  this._pending = 0;
+  this._operations = 0;
+
+  // Values pushed by the responder, they are not pushed back
+  this._received = new Set();
+}
+module.exports = Reconciler;
+
+Reconciler.FINGERPRINT_SIZE = FINGERPRINT_SIZE;
+
+// XOR of the hashes of `values`
+Reconciler.fingerprint = function fingerprint(values) {
+  const res = Buffer.alloc(FINGERPRINT_SIZE);
+  const hash = Buffer.alloc(FINGERPRINT_SIZE);
+  for (let i = 0; i < values.length; i++) {
+    sodium.crypto_generichash(hash, values[i], HASH_KEY);
+    for (let j = 0; j < FINGERPRINT_SIZE; j++)
+      res[j] ^= hash[j];
+  }
+  return res;
+};
+
+Reconciler.prototype._range = function _range(start, end, values) {
+  return {
+    start,
+    end,
+    fingerprint: Reconciler.fingerprint(values),
+    count: values.length
+  };
+};
+
+// Fetch local values of every range in `ranges`, and call
+// `iterate(range, values)` for each of them in order
+Reconciler.prototype._each = function _each(ranges, iterate, callback) {
+  let i = 0;
+  const next = () => {
+    if (i === ranges.length)
+      return callback(null);
+
+    const range = ranges[i++];
+    this.store.range({ start: range.start, end: range.end }, (err, values) => {
+      if (err)
+        return callback(err);
+
+      iterate(range, values);
+      next();
+    });
+  };
+  next();
+};
+
+Reconciler.prototype._matches = function _matches(range, values) {
+  return values.length === range.count &&
+      Reconciler.fingerprint(values).equals(range.fingerprint);
+};
+
+// Split mismatching range into parts with the same number of local values
+Reconciler.prototype._split = function _split(range, values, out) {
+  const parts = Math.min(BRANCH_FACTOR, values.length);
+  const bounds = [];
+  for (let i = 0; i <= parts; i++)
+    bounds.push(Math.floor(i * values.length / parts));
+
+  for (let i = 0; i < parts; i++) {
+    const start = i === 0 ? range.start : values[bounds[i]];
+    const end = i === parts - 1 ? range.end : values[bounds[i + 1]];
+    out.push(this._range(start, end, values.slice(bounds[i], bounds[i + 1])));
+  }
+};
+
+Reconciler.prototype._isLeaf = function _isLeaf(range, values) {
+  return values.length <= LEAF_SIZE || range.count === 0;
+};
+
+// Send `ranges` in as many `Fingerprints` as needed, returns their number
+Reconciler.prototype._send = function _send(id, ranges, response) {
+  const limit = this.stream.remoteLimits.maxMessageSize -
+      FINGERPRINTS_OVERHEAD;
+
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+  ranges.forEach((range) => {
+    const rangeSize = range.start.length + (range.end ? range.end.length : 0) +
+        FINGERPRINT_SIZE + RANGE_OVERHEAD;
+    if (chunk.length !== 0 && size + rangeSize > limit) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push(range);
+    size += rangeSize;
+  });
+  if (chunk.length !== 0 || chunks.length === 0)
+    chunks.push(chunk);
+
+  chunks.forEach((ranges, i) => {
+    this.stream.fingerprints({
+      id,
+      ranges,
+      response,
+      more: i !== chunks.length - 1
+    });
+  });
+  return chunks.length;
+};
+
+Reconciler.prototype._push = function _push(values, id) {
+  if (values.length === 0)
+    return;
+
+  this._start();
+  this.stream.data({ values, id }, (err) => {
+    if (!err)
+      this.sent += values.length;
+    this._end(err);
+  });
+};
+
+Reconciler.prototype._insert = function _insert(values) {
+  if (values.length === 0)
+    return;
+
+  this._start();
+  this.store.insert(values, (err, added) => {
+    if (!err)
+      this.received += added.length;
+    this._end(err);
+  });
+};
+
+Reconciler.prototype._start = function _start() {
+  this._operations++;
+};
+
+Reconciler.prototype._end = function _end(err) {
+  assert(this._operations > 0);
+  this._operations--;
+
+  if (err)
+    return this._finish(err);
+  if (this._pending === 0 && this._operations === 0)
+    this._finish(null);
+};
+
+Reconciler.prototype._finish = function _finish(err) {
+  if (this._callback === null)
+    return;
+
+  const callback = this._callback;
+  this._callback = null;
+  clearTimeout(this._timer);
+  this._timer = null;
+  this.stream._reconciliations.delete(this.id);
+
+  debug('finished id=%d sent=%d received=%d', this.id, this.sent,
+        this.received);
+  callback(err, { sent: this.sent, received: this.received });
+};
+
+// Answer remote `Fingerprints`, used by the responder. Values of the leaves
+// are pushed before the response, and the initiator pushes the rest.
+Reconciler.prototype.answer = function answer(body, callback) {
+  const out = [];
+  this._each(body.ranges, (range, values) => {
+    if (this._matches(range, values))
+      return;
+
+    if (!this._isLeaf(range, values))
+      return this._split(range, values, out);
+
+    this._push(values, body.id);
+    out.push(Object.assign(this._range(range.start, range.end, values), {
+      leaf: true
+    }));
+  }, (err) => {
+    if (err)
+      return callback(err);
+
+    debug('answering id=%d ranges=%d', body.id, out.length);
+    this._send(body.id, out, true);
+    callback(null);
+  });
+};
+
+// (Re)start the timer of the initiator waiting for the remote peer
+Reconciler.prototype._touch = function _touch() {
+  if (this.timeout === 0 || this._callback === null)
+    return;
+
+  clearTimeout(this._timer);
+  this._timer = setTimeout(() => {
+    debug('timeout id=%d', this.id);
+    this._finish(new errors.TimeoutError('ERR_TIMEOUT',
+                                         'Reconciliation timed out'));
+  }, this.timeout);
+};
+
+// Start reconciliation as initiator, `id` is allocated by the stream
+Reconciler.prototype.start = function start(id, callback) {
+  this.id = id;
+  this._callback = callback;
+  this._touch();
+
+  this._start();
+  this.store.range({ start: EMPTY, end: null }, (err, values) => {
+    if (err)
+      return this._end(err);
+
+    debug('starting id=%d values=%d', id, values.length);
+    this._pending += this._send(id, [ this._range(EMPTY, null, values) ],
+                                false);
+    this._end(null);
+  });
+};
+
+Reconciler.prototype._onResponse = function _onResponse(body) {
+  this._touch();
+  if (!body.more)
+    this._pending--;
+
+  const out = [];
+  this._start();
+  this._each(body.ranges, (range, values) => {
+    if (range.leaf)
+      return this._push(values.filter(value => !this._isReceived(value)), 0);
+
+    if (this._matches(range, values))
+      return;
+
+    if (!this._isLeaf(range, values))
+      return this._split(range, values, out);
+
+    if (range.count === 0)
+      return this._push(values, 0);
+    this._pull(range, values);
+  }, (err) => {
+    if (err)
+      return this._end(err);
+    if (this._callback === null)
+      return;
+
+    if (out.length !== 0)
+      this._pending += this._send(this.id, out, false);
+    this._end(null);
+  });
+};
+
+// Fetch remote values of the small range page by page, and push the local
+// ones that are missing from it
+Reconciler.prototype._pull = function _pull(range, values) {
+  const missing = new Map();
+  values.forEach(value => missing.set(value.toString('hex'), value));
+
+  const pages = this.stream.iterate({
+    start: range.start,
+    end: range.end,
+    limit: Math.min(PULL_PAGE_SIZE, this.stream.maxDataValues)
+  }, { timeout: this.timeout });
+
+  this._start();
+  const next = () => {
+    pages.next().then(({ done, value }) => {
+      // Finished or failed while waiting for the page
+      if (this._callback === null)
+        return this._end(null);
+
+      if (done) {
+        this._push(Array.from(missing.values()), 0);
+        return this._end(null);
+      }
+
+      value.forEach(remote => missing.delete(remote.toString('hex')));
+      this._insert(value);
+      next();
+    }, err => this._end(err));
+  };
+  next();
+};
+
+Reconciler.prototype._isReceived = function _isReceived(value) {
+  return this._received.has(value.toString('hex'));
+};
+
+// Leaf values pushed by the responder
+Reconciler.prototype._onData = function _onData(body) {
+  this._touch();
+  body.values.forEach(value => this._received.add(value.toString('hex')));
+  this._insert(body.values);
+};
@@ -0,0 +1,621 @@
+'use strict';
+
+const assert = require('assert');
+const debug = require('debug')('hyperbloom:replicator');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+const protocol = require('../protocol');
+const messages = protocol.messages;
+const BloomFilter = protocol.BloomFilter;
+const IBLT = protocol.IBLT;
+const StrataEstimator = protocol.StrataEstimator;
+const Reconciler = protocol.Reconciler;
+
+const Buffer = require('buffer').Buffer;
+
+const EMPTY = Buffer.alloc(0);
+
+const DEFAULT_FALSE_POSITIVE = 0.01;
+const DEFAULT_BATCH_SIZE = 64;
+const DEFAULT_BATCH_BYTES = 64 * 1024;
+
+// Room for `Sync` fields other than `filter`, and for the framing
+const SYNC_OVERHEAD = 1024;
+
+// Time without incoming data after which the replicas are considered synced,
+// used only when the remote peer doesn't support `query-id` extension
+const DEFAULT_IDLE_TIMEOUT = 250;
+const DEFAULT_QUERY_TIMEOUT = 30000;
+
+// Maximum number of values in the answer to a single `Sync`, the answers cut
+// by it are continued by the next round
+const DEFAULT_SYNC_LIMIT = 4096;
+
+// Values that are false positives of the Bloom Filter are not sent by the
+// remote peer. `Sync` is repeated with a new seed while at least one value is
+// expected to be lost this way, at most this many times
+const MAX_SYNC_ROUNDS = 8;
+
+function Replicator(stream, store, options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+
+  assert(stream, '`stream` is required');
+  assert(store && typeof store.insert === 'function' &&
+             typeof store.range === 'function',
+         '`store` must implement `insert()` and `range()`');
+
+  this.stream = stream;
+  this.store = store;
+
+  this.falsePositive = options.falsePositive || DEFAULT_FALSE_POSITIVE;
+  this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  this.batchBytes = options.batchBytes || DEFAULT_BATCH_BYTES;
+  this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+  this.queryTimeout = options.queryTimeout || DEFAULT_QUERY_TIMEOUT;
+  this.syncLimit = options.syncLimit || DEFAULT_SYNC_LIMIT;
+
+  // Reconcile whole sets with IBLT if the remote peer supports it
+  this.iblt = options.iblt !== false;
+
+  this.sent = 0;
+  this.received = 0;
+  this.synced = false;
+
+  this._destroyed = false;
+
+  // Number of local operations in progress
+  this._pending = 0;
+  this._syncSent = false;
+  this._syncDone = false;
+  this._idleTimer = null;
+
+  // Recommendations from the remote `FilterOptions`
+  this._filterOptions = null;
+  this._lastSync = null;
+  this._syncQuery = null;
+
+  // Current `Sync` round, and `received` when it was sent
+  this._syncRound = 0;
+  this._roundReceived = 0;
+
+  // Answers `Fingerprints` of the remote `stream.reconcile()`
+  this._reconciler = new Reconciler(stream, store);
+
+  // Values received from the remote peer that are being inserted, they are not
+  // published back to it
+  this._incoming = new Set();
+
+  // Requests with `id`, `Estimate`s and `Fingerprints` are answered below.
+  // The stream that has already sent its `Handshake` keeps advertising what it
+  // did, and the remote peer falls back to plain `Sync` and `Request`
+  if (stream.canProvide()) {
+    stream.provide(messages.extensions.QUERY_ID);
+    stream.provide(messages.extensions.IBLT);
+    stream.provide(messages.extensions.FINGERPRINTS);
+  }
+
+  this._onMessage = msg => this._handleMessage(msg);
+  this._onClose = () => this.destroy();
+  this._onStoreValues = values => this._publish(values);
+  stream.on('message', this._onMessage);
+  stream.once('close', this._onClose);
+  if (typeof store.on === 'function')
+    store.on('values', this._onStoreValues);
+
+  if (options.sync !== false)
+    this.sync();
+}
+util.inherits(Replicator, EventEmitter);
+module.exports = Replicator;
+
+Replicator.prototype._error = function _error(err) {
+  debug('error=%s', err.message);
+  this.emit('error', err);
+};
+
+Replicator.prototype._start = function _start() {
+  this._pending++;
+  this.synced = false;
+  clearTimeout(this._idleTimer);
+  this._idleTimer = null;
+};
+
+Replicator.prototype._end = function _end() {
+  assert(this._pending > 0);
+  this._pending--;
+  this._touch();
+};
+
+Replicator.prototype._touch = function _touch() {
+  if (this._destroyed)
+    return;
+
+  clearTimeout(this._idleTimer);
+  this._idleTimer = null;
+
+  if (!this._syncSent || this._pending !== 0)
+    return;
+
+  // Remote has answered our `Sync` and we have nothing to send
+  if (this._syncDone)
+    return this._synced();
+
+  // Without `query-id` the answer is over when no data comes for a while
+  this._idleTimer = setTimeout(() => {
+    this._idleTimer = null;
+    if (this._retrySync(this.received - this._roundReceived))
+      return;
+    this._synced();
+  }, this.idleTimeout);
+};
+
+Replicator.prototype._synced = function _synced() {
+  if (this.synced)
+    return;
+
+  this.synced = true;
+  debug('synced sent=%d received=%d', this.sent, this.received);
+  this.emit('synced');
+};
+
+// Repeat `Sync` after the round that brought `received` values if the answer
+// was cut by `limit`, or if the values missing locally are likely to be lost
+// to the false positives. Returns `false` if the round is not repeated
+Replicator.prototype._retrySync = function _retrySync(received, callback) {
+  if (this._lastSync === null)
+    return false;
+
+  const truncated = received >= this._lastSync.limit;
+  if (!truncated) {
+    // `received` is about `(1 - falsePositive)` of the missing values
+    const lost = received * this.falsePositive / (1 - this.falsePositive);
+    if (lost < 1 || this._syncRound >= MAX_SYNC_ROUNDS)
+      return false;
+  }
+
+  debug('repeating sync round=%d truncated=%j', this._syncRound + 1,
+        truncated);
+  this._bloomSync(this._lastSync.range, callback, this._syncRound + 1);
+  return true;
+};
+
+Replicator.prototype._progress = function _progress() {
+  this.emit('progress', { sent: this.sent, received: this.received });
+};
+
+Replicator.prototype._handleMessage = function _handleMessage(msg) {
+  if (this._destroyed)
+    return;
+
+  if (msg.type === 'sync')
+    this._onSync(msg.body);
+  else if (msg.type === 'request')
+    this._onRequest(msg.body);
+  else if (msg.type === 'data' || msg.type === 'forwarded-data')
+    this._onData(msg.body);
+  else if (msg.type === 'filter-options')
+    this._onFilterOptions(msg.body);
+  else if (msg.type === 'estimate')
+    this._onEstimate(msg.body);
+  else if (msg.type === 'want')
+    this._onWant(msg.body);
+  else if (msg.type === 'fingerprints' && !msg.body.response)
+    this._onFingerprints(msg.body);
+};
+
+Replicator.prototype._onSync = function _onSync(body) {
+  const filter = BloomFilter.fromSync(body);
+  const range = body.range || { start: EMPTY, end: null };
+
+  this._start();
+  this.store.range({ start: range.start, end: range.end }, (err, values) => {
+    if (err) {
+      this._end();
+      return this._error(err);
+    }
+
+    let missing = values.filter(value => !filter.test(value));
+    if (body.limit)
+      missing = missing.slice(0, body.limit);
+
+    debug('answering sync with %d values', missing.length);
+    this._sendValues(missing, body.id, null, () => this._end());
+  });
+};
+
+Replicator.prototype._onRequest = function _onRequest(body) {
+  // Fetch one more value to know where the next page starts
+  const cursor = body.limit !== 0 &&
+      this.stream.hasExtension(messages.extensions.CURSOR);
+
+  this._start();
+  this.store.range({
+    start: body.start,
+    end: body.end,
+    limit: cursor ? body.limit + 1 : body.limit
+  }, (err, values) => {
+    if (err) {
+      this._end();
+      return this._error(err);
+    }
+
+    let next = null;
+    if (cursor && values.length > body.limit) {
+      next = values[body.limit];
+      values = values.slice(0, body.limit);
+    }
+
+    debug('answering request with %d values', values.length);
+    this._sendValues(values, body.id, next, () => this._end());
+  });
+};
+
+Replicator.prototype._onData = function _onData(body) {
+  const keys = body.values.map(value => value.toString('hex'));
+  keys.forEach(key => this._incoming.add(key));
+
+  this._start();
+  this.store.insert(body.values, (err, added) => {
+    keys.forEach(key => this._incoming.delete(key));
+    this._end();
+    if (err)
+      return this._error(err);
+
+    this.received += added.length;
+    if (added.length !== 0)
+      this.emit('values', added);
+    this._progress();
+  });
+};
+
+Replicator.prototype._onEstimate = function _onEstimate(body) {
+  this._start();
+  this.store.range({ start: EMPTY, end: null }, (err, values) => {
+    if (err) {
+      this._end();
+      return this._error(err);
+    }
+
+    const estimator = new StrataEstimator({ seed: body.seed });
+    values.forEach(value => estimator.add(value));
+    const remote = new StrataEstimator({
+      seed: body.seed,
+      strata: body.strata
+    });
+    const difference = estimator.estimate(remote);
+
+    // Table has to fit into a single message, otherwise the remote peer falls
+    // back to `Sync`
+    const size = IBLT.sizeFor(difference);
+    const limit = this.stream.remoteLimits.maxMessageSize - SYNC_OVERHEAD;
+    if (size * IBLT.CELL_SIZE > limit) {
+      debug('difference of %d values is too big for iblt', difference);
+      this.stream.table({ id: body.id, cells: EMPTY }, () => this._end());
+      return;
+    }
+
+    const table = new IBLT({ size, seed: body.seed });
+    values.forEach(value => table.add(value));
+
+    debug('answering estimate with %d cells', size);
+    this.stream.table({ id: body.id, cells: table.cells },
+                          () => this._end());
+  });
+};
+
+Replicator.prototype._onWant = function _onWant(body) {
+  const keys = new Set(body.keys.map(key => key.toString('hex')));
+
+  this._start();
+  this.store.range({ start: EMPTY, end: null }, (err, values) => {
+    if (err) {
+      this._end();
+      return this._error(err);
+    }
+
+    const wanted = values.filter((value) => {
+      return keys.has(IBLT.key(value, body.seed).toString('hex'));
+    });
+
+    debug('answering want with %d values', wanted.length);
+    this._sendValues(wanted, body.id, null, () => this._end());
+  });
+};
+
+Replicator.prototype._onFingerprints = function _onFingerprints(body) {
+  this._start();
+  this._reconciler.answer(body, (err) => {
+    this._end();
+    if (err)
+      this._error(err);
+  });
+};
+
+// Forward new values of the store to the remote subscriptions
+Replicator.prototype._publish = function _publish(values) {
+  if (this._destroyed || this.stream.remoteSubscriptions.size === 0)
+    return;
+
+  values = values.filter(value => !this._incoming.has(value.toString('hex')));
+  if (values.length === 0)
+    return;
+
+  debug('publishing %d values', values.length);
+  this.stream.publish(values, (err) => {
+    if (!err) {
+      this.sent += values.length;
+      this._progress();
+    }
+  });
+};
+
+Replicator.prototype._onFilterOptions = function _onFilterOptions(body) {
+  this._filterOptions = body;
+
+  // Our last filter was likely rejected, send smaller one
+  const last = this._lastSync;
+  if (last !== null && (last.size > body.size || last.n > body.n)) {
+    debug('resending sync with remote filter options');
+    if (this._syncQuery !== null)
+      this._syncQuery.cancel();
+    this._bloomSync(last.range, null, this._syncRound);
+  }
+};
+
+// Maximum filter that the remote peer accepts
+Replicator.prototype._filterLimits = function _filterLimits() {
+  const limits = this.stream.remoteLimits;
+
+  // Filter has to fit into a single message
+  let size = Math.min(limits.maxFilterSize,
+                      (limits.maxMessageSize - SYNC_OVERHEAD) * 8);
+  let n = limits.maxFilterHashes;
+
+  // Recommendations from `FilterOptions`
+  const options = this._filterOptions;
+  if (options !== null) {
+    size = Math.min(size, options.size);
+    n = Math.min(n, options.n);
+  }
+
+  return { size, n };
+};
+
+// `next` is set in the last `Data`, see `cursor` extension
+Replicator.prototype._sendValues = function _sendValues(values, id, next,
+                                                      callback) {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (batch.length !== 0 && (batch.length >= this.batchSize ||
+                               bytes + value.length > this.batchBytes)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(value);
+    bytes += value.length;
+  }
+  if (batch.length !== 0)
+    batches.push(batch);
+
+  // Queries with `id` are finished with `Done`
+  let waiting = batches.length + (id ? 1 : 0);
+  if (waiting === 0)
+    return process.nextTick(callback);
+
+  const onSent = () => {
+    if (--waiting === 0)
+      callback();
+  };
+
+  let i = 0;
+  const send = () => {
+    if (this._destroyed)
+      return;
+
+    while (i < batches.length) {
+      const values = batches[i++];
+      const body = id ? { values, id } : { values };
+      if (i === batches.length && next !== null)
+        body.next = next;
+      const more = this.stream.data(body, (err) => {
+        if (!err) {
+          this.sent += values.length;
+          this._progress();
+        }
+        onSent();
+      });
+
+      // Wait for the remote side to catch up
+      if (!more)
+        return this.stream.once('output-drain', send);
+    }
+
+    if (id)
+      this.stream.done({ id }, onSent);
+  };
+  send();
+};
+
+// Public API
+
+Replicator.prototype.sync = function sync(range, callback) {
+  // Need to know remote extensions
+  if (!this.stream.secure) {
+    this.stream.once('secure', () => this.sync(range, callback));
+    return;
+  }
+
+  if (!range && this.iblt &&
+      this.stream.hasExtension(messages.extensions.IBLT)) {
+    return this._ibltSync(callback);
+  }
+
+  this._bloomSync(range, callback);
+};
+
+// Find the values missing locally using strata estimator and IBLT, see "Set
+// Reconciliation" in spec.md
+Replicator.prototype._ibltSync = function _ibltSync(callback) {
+  const fail = (err) => {
+    this._end();
+    if (callback)
+      callback(err);
+    if (!this._destroyed)
+      this._error(err);
+  };
+
+  // Unanswered queries are retried with `Sync`
+  const fallback = (err) => {
+    if (err.code !== 'ERR_TIMEOUT')
+      return fail(err);
+
+    debug('iblt query timed out, falling back to sync');
+    this._end();
+    this._bloomSync(null, callback);
+  };
+
+  this._start();
+  this.store.range({ start: EMPTY, end: null }, (err, values) => {
+    if (err)
+      return fail(err);
+
+    const estimator = new StrataEstimator();
+    values.forEach(value => estimator.add(value));
+    const seed = estimator.seed;
+
+    debug('sending estimate with %d values', values.length);
+    this._syncDone = false;
+    this.stream.estimateQuery({
+      seed,
+      strata: estimator.toStrata()
+    }, { timeout: this.queryTimeout }).then((cells) => {
+      let diff = null;
+      if (cells && cells.length !== 0) {
+        const table = new IBLT({ size: cells.length / IBLT.CELL_SIZE, seed });
+        values.forEach(value => table.add(value));
+        diff = table.subtract(IBLT.fromCells(cells, seed)).decode();
+      }
+
+      if (diff === null) {
+        debug('iblt reconciliation failed, falling back to sync');
+        this._end();
+        return this._bloomSync(null, callback);
+      }
+
+      debug('iblt difference local=%d remote=%d', diff.local.length,
+            diff.remote.length);
+
+      // Same as with `Sync`, the remote peer pulls our values itself
+      const finish = () => {
+        this._syncSent = true;
+        this._syncDone = true;
+        this._end();
+        if (callback)
+          callback(null);
+      };
+
+      if (diff.remote.length === 0)
+        return finish();
+      this.stream.wantQuery({ seed, keys: diff.remote }, {
+        timeout: this.queryTimeout
+      }).then(finish, fallback);
+    }, fallback);
+  });
+};
+
+Replicator.prototype._bloomSync = function _bloomSync(range, callback,
+                                                     round) {
+  const query = range ? { start: range.start, end: range.end } :
+    { start: EMPTY, end: null };
+
+  this._start();
+  this.store.range(query, (err, values) => {
+    if (err) {
+      this._end();
+      if (callback)
+        callback(err);
+      return this._error(err);
+    }
+
+    const options = { count: values.length, falsePositive: this.falsePositive };
+    let filter = new BloomFilter(options);
+
+    // Use remote limits, at the cost of increased false positive rate
+    const remote = this._filterLimits();
+    if (filter.size > remote.size || filter.n > remote.n) {
+      options.size = Math.min(filter.size, remote.size);
+      options.n = Math.min(filter.n, remote.n);
+      filter = new BloomFilter(options);
+    }
+
+    for (let i = 0; i < values.length; i++)
+      filter.add(values[i]);
+
+    const limit = this.syncLimit;
+    this._lastSync = { range, size: filter.size, n: filter.n, limit };
+    this._syncRound = round || 1;
+    this._roundReceived = this.received;
+
+    debug('sending sync with %d values', values.length);
+    const body = filter.toSync(range ? { range, limit } : { limit });
+    this._syncDone = false;
+
+    if (!this.stream.hasExtension(messages.extensions.QUERY_ID)) {
+      this.stream.sync(body, (err) => {
+        this._syncSent = true;
+        this._end();
+        if (callback)
+          callback(err);
+      });
+      return;
+    }
+
+    const query = this.stream.syncQuery(body, { timeout: this.queryTimeout });
+    this._syncQuery = query;
+    query.then((received) => {
+      this._syncQuery = null;
+      if (this._retrySync(received.length, callback))
+        return this._end();
+
+      this._syncSent = true;
+      this._syncDone = true;
+      this._end();
+      if (callback)
+        callback(null);
+    }, (err) => {
+      const replaced = this._syncQuery !== query;
+      if (!replaced)
+        this._syncQuery = null;
+      this._end();
+      if (callback)
+        callback(err);
+      if (!replaced && !this._destroyed)
+        this._error(err);
+    });
+  });
+};
+
+Replicator.prototype.request = function request(range, callback) {
+  this.stream.request(range, callback);
+};
+
+Replicator.prototype.destroy = function destroy() {
+  if (this._destroyed)
+    return;
+  this._destroyed = true;
+
+  clearTimeout(this._idleTimer);
+  this._idleTimer = null;
+
+  this.stream.removeListener('message', this._onMessage);
+  this.stream.removeListener('close', this._onClose);
+  if (typeof this.store.removeListener === 'function')
+    this.store.removeListener('values', this._onStoreValues);
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+const util = require('util');
+const sodium = require('sodium-universal');
+const signatures = require('sodium-signatures');
+const constants = require('hyperbloom-constants');
+const EventEmitter = require('events').EventEmitter;
+
+const Buffer = require('buffer').Buffer;
+
+const PUBLIC_KEY_SIZE = constants.PUBLIC_KEY_SIZE;
+const PRIVATE_KEY_SIZE = constants.PRIVATE_KEY_SIZE;
+const SIGNATURE_SIZE = constants.SIGNATURE_SIZE;
+
+const HASH_KEY = constants.HASH_KEY;
+const HASH_SIZE = constants.HASH_SIZE;
+
+// Separates revocation signatures from the other signed hashes
+const REVOCATION_PREFIX = Buffer.from('hyperbloom-revocation');
+
+const DEFAULT_MAX_SIZE = 4096;
+
+// Set of revoked public keys of the feed. A revocation
+// `{ publicKey, signer, signature }` revokes `publicKey` in the Trust Chains
+// where `signer` is either the feed key, one of the preceding links, or the
+// `publicKey` itself. Revocations by other keys are stored, but have no
+// effect.
+//
+// Streams accept only the revocations signed by the feed key or by a trusted
+// key, i.e. one of the keys of the Trust Chains of the connected peers (see
+// `trust()`) or a key that has signed a local revocation. Other revocations
+// can't have effect on these chains, and are not forwarded either.
+//
+// Emits `revocation` for every new revocation. Can be shared by several
+// streams of the same feed.
+function RevocationSet(options) {
+  EventEmitter.call(this);
+
+  options = options || {};
+  assert(Buffer.isBuffer(options.feedKey),
+         '`options.feedKey` must be a Buffer');
+  assert.equal(options.feedKey.length, PUBLIC_KEY_SIZE,
+               `\`options.feedKey\` must have size ${PUBLIC_KEY_SIZE}`);
+
+  this.feedKey = options.feedKey;
+  this.size = 0;
+  this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+
+  // Revoked key => (signer => revocation), both in hex
+  this._revocations = new Map();
+
+  // Trusted key in hex => number of `trust()` calls without `untrust()`
+  this._trusted = new Map();
+
+  // Every stream of the feed listens for new revocations
+  this.setMaxListeners(0);
+}
+util.inherits(RevocationSet, EventEmitter);
+module.exports = RevocationSet;
+
+RevocationSet.prototype._hash = function _hash(publicKey) {
+  const out = Buffer.alloc(HASH_SIZE);
+  sodium.crypto_generichash(out, Buffer.concat([
+    REVOCATION_PREFIX, this.feedKey, publicKey
+  ]), HASH_KEY);
+  return out;
+};
+
+RevocationSet.prototype.verify = function verify(revocation) {
+  if (revocation.publicKey.length !== PUBLIC_KEY_SIZE ||
+      revocation.signer.length !== PUBLIC_KEY_SIZE ||
+      revocation.signature.length !== SIGNATURE_SIZE) {
+    return false;
+  }
+
+  return signatures.verify(this._hash(revocation.publicKey),
+                           revocation.signature, revocation.signer);
+};
+
+RevocationSet.prototype.trust = function trust(keys) {
+  keys.forEach((key) => {
+    const hex = key.toString('hex');
+    this._trusted.set(hex, (this._trusted.get(hex) || 0) + 1);
+  });
+};
+
+RevocationSet.prototype.untrust = function untrust(keys) {
+  keys.forEach((key) => {
+    const hex = key.toString('hex');
+    const count = this._trusted.get(hex);
+    if (count === undefined)
+      return;
+
+    if (count === 1)
+      this._trusted.delete(hex);
+    else
+      this._trusted.set(hex, count - 1);
+  });
+};
+
+RevocationSet.prototype.isTrusted = function isTrusted(key) {
+  return key.equals(this.feedKey) || this._trusted.has(key.toString('hex'));
+};
+
+// Returns `true` if the revocation wasn't in the set before
+RevocationSet.prototype.add = function add(revocation) {
+  assert(this.verify(revocation), 'Invalid revocation');
+
+  const key = revocation.publicKey.toString('hex');
+  const signer = revocation.signer.toString('hex');
+
+  let signers = this._revocations.get(key);
+  if (signers !== undefined && signers.has(signer))
+    return false;
+  assert(this.size < this.maxSize, 'Revocation set is full');
+
+  if (signers === undefined) {
+    signers = new Map();
+    this._revocations.set(key, signers);
+  }
+
+  signers.set(signer, {
+    publicKey: revocation.publicKey,
+    signer: revocation.signer,
+    signature: revocation.signature
+  });
+  this.size++;
+
+  this.emit('revocation', revocation);
+  return true;
+};
+
+RevocationSet.prototype.revoke = function revoke(publicKey, privateKey) {
+  assert(Buffer.isBuffer(publicKey), '`publicKey` must be a Buffer');
+  assert(Buffer.isBuffer(privateKey), '`privateKey` must be a Buffer');
+  assert.equal(privateKey.length, PRIVATE_KEY_SIZE,
+               `\`privateKey\` must have size ${PRIVATE_KEY_SIZE}`);
+
+  const revocation = {
+    publicKey,
+
+    // Ed25519 secret key ends with the public key
+    signer: privateKey.slice(PRIVATE_KEY_SIZE - PUBLIC_KEY_SIZE),
+    signature: signatures.sign(this._hash(publicKey), privateKey)
+  };
+
+  // Local revocations are forwarded to the remote peers
+  this.trust([ revocation.signer ]);
+  this.add(revocation);
+  return revocation;
+};
+
+// `ancestors` are the feed key and the keys of the preceding Trust Links
+RevocationSet.prototype.isRevoked = function isRevoked(publicKey, ancestors) {
+  const signers = this._revocations.get(publicKey.toString('hex'));
+  if (signers === undefined)
+    return false;
+
+  if (signers.has(publicKey.toString('hex')))
+    return true;
+  return ancestors.some(key => signers.has(key.toString('hex')));
+};
+
+// Index of the first revoked link in parsed Trust Chain, or `-1`
+RevocationSet.prototype.check = function check(links) {
+  const ancestors = [ this.feedKey ];
+  for (let i = 0; i < links.length; i++) {
+    if (this.isRevoked(links[i].publicKey, ancestors))
+      return i;
+    ancestors.push(links[i].publicKey);
+  }
+  return -1;
+};
+
+RevocationSet.prototype.toArray = function toArray() {
+  const res = [];
+  this._revocations.forEach((signers) => {
+    signers.forEach(revocation => res.push(revocation));
+  });
+  return res;
+};
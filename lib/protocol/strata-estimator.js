@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+const sodium = require('sodium-universal');
+
+const protocol = require('../protocol');
+const IBLT = protocol.IBLT;
+
+const Buffer = require('buffer').Buffer;
+
+// See "Strata Estimator" in spec.md
+const STRATA_COUNT = 32;
+const STRATUM_SIZE = 24;
+
+function trailingZeros(x) {
+  if (x === 0)
+    return 32;
+  return 31 - Math.clz32(x & -x);
+}
+
+// Estimates the size of the symmetric difference of two sets. Every value is
+// added to the stratum `i` with probability `2^-(i + 1)`, the difference is
+// extrapolated from the strata that can be decoded.
+function StrataEstimator(options) {
+  options = Object.assign({}, options);
+
+  if (options.seed === undefined) {
+    const seed = Buffer.alloc(4);
+    sodium.randombytes_buf(seed);
+    this.seed = seed.readUInt32LE(0);
+  } else {
+    assert(options.seed === (options.seed >>> 0),
+           '`options.seed` must be a uint32');
+    this.seed = options.seed;
+  }
+
+  if (options.strata === undefined) {
+    this.strata = [];
+    for (let i = 0; i < STRATA_COUNT; i++)
+      this.strata.push(new IBLT({ size: STRATUM_SIZE, seed: this.seed }));
+  } else {
+    assert(StrataEstimator.isValid(options.strata),
+           '`options.strata` must be valid strata');
+    this.strata = options.strata.map(cells => IBLT.fromCells(cells, this.seed));
+  }
+}
+module.exports = StrataEstimator;
+
+StrataEstimator.STRATA_COUNT = STRATA_COUNT;
+StrataEstimator.STRATUM_SIZE = STRATUM_SIZE;
+
+StrataEstimator.isValid = function isValid(strata) {
+  return strata.length === STRATA_COUNT && strata.every((cells) => {
+    return cells.length === STRATUM_SIZE * IBLT.CELL_SIZE;
+  });
+};
+
+StrataEstimator.prototype.add = function add(value) {
+  const key = IBLT.key(value, this.seed);
+  const level = Math.min(STRATA_COUNT - 1,
+                         trailingZeros(key.readUInt32LE(0)));
+  this.strata[level].addKey(key);
+  return this;
+};
+
+StrataEstimator.prototype.estimate = function estimate(remote) {
+  assert.equal(this.seed, remote.seed, 'Estimators must have the same `seed`');
+
+  let count = 0;
+  for (let i = STRATA_COUNT - 1; i >= 0; i--) {
+    const diff = this.strata[i].subtract(remote.strata[i]).decode();
+    if (diff === null)
+      return Math.pow(2, i + 1) * Math.max(1, count);
+    count += diff.local.length + diff.remote.length;
+  }
+  return count;
+};
+
+StrataEstimator.prototype.toStrata = function toStrata() {
+  return this.strata.map(stratum => stratum.cells);
+};
@@ -11,7 +11,15 @@ const HyperBloomChain = require('hyperbloom-chain');
 
 const protocol = require('../protocol');
 const messages = protocol.messages;
+const errors = protocol.errors;
 const Parser = protocol.Parser;
+const BloomFilter = protocol.BloomFilter;
+const IBLT = protocol.IBLT;
+const StrataEstimator = protocol.StrataEstimator;
+const RevocationSet = protocol.RevocationSet;
+const Extension = protocol.Extension;
+const Subscription = protocol.Subscription;
+const Reconciler = protocol.Reconciler;
 
 const Buffer = require('buffer').Buffer;
 
@@ -22,36 +30,201 @@ const ID_SIZE = constants.ID_SIZE;
 const HASH_KEY = constants.HASH_KEY;
 const HASH_SIZE = constants.HASH_SIZE;
 const EMPTY_HASH = Buffer.alloc(HASH_SIZE);
+const EMPTY = Buffer.alloc(0);
 
 const MAGIC = constants.MAGIC;
 
 // X-Salsa 20 uses 192-bit nonce
 const NONCE_SIZE = 24;
 
-const VALUES_SERIALIZATION_PREFIX_SIZE = 8;
-const VALUES_SERIALIZATION_PREFIX_OFF = 4;
+const SESSION_KEY_SIZE = sodium.crypto_secretbox_KEYBYTES;
+const MAC_SIZE = sodium.crypto_secretbox_MACBYTES;
+
+// 64-bit Big Endian number of values
+const VALUES_COUNT_SIZE = 8;
+const UINT32_RANGE = 0x100000000;
+
+const BINDINGS = {
+  none: messages.binding.NONE,
+  session: messages.binding.SESSION,
+  signer: messages.binding.SIGNER
+};
 
 const DEFAULT_CLOSE_TIMEOUT = 1000;
 
+// Extensions supported by this implementation
+const EXTENSIONS = [
+  messages.extensions.FILTER_OPTIONS_V2,
+  messages.extensions.PING,
+  messages.extensions.REVOCATION,
+  messages.extensions.CHAIN_UPDATE,
+  messages.extensions.SUBSCRIBE,
+  messages.extensions.CURSOR,
+  messages.extensions.REKEY,
+  messages.extensions.DATA_BINDING,
+  messages.extensions.FORWARD
+];
+
+// Extensions advertised only if the application answers the remote requests,
+// see `provide()`
+const RESPONDER_EXTENSIONS = [
+  messages.extensions.QUERY_ID,
+  messages.extensions.IBLT,
+  messages.extensions.FINGERPRINTS
+];
+
+const DEFAULT_QUERY_TIMEOUT = 30000;
+
+// Time given to the remote peer to complete the handshake
+const DEFAULT_HANDSHAKE_TIMEOUT = 30000;
+
+// Limits of the messages queued before `secure`
+const DEFAULT_MAX_QUEUE = 1024;
+const DEFAULT_MAX_QUEUE_SIZE = 1024 * 1024;
+
+// Keepalive, enabled only when the remote peer supports `ping` extension
+const DEFAULT_PING_INTERVAL = 30000;
+const DEFAULT_IDLE_TIMEOUT = 90000;
+const MAX_PING_SEQ = 0xffffffff;
+
+// Session keys are replaced after this many sent bytes or milliseconds, see
+// `rekey()`
+const DEFAULT_REKEY_BYTES = 1024 * 1024 * 1024;
+const DEFAULT_REKEY_INTERVAL = 60 * 60 * 1000;
+const REKEY_PREFIX = Buffer.from('hyperbloom-rekey');
+const MAX_REKEY_GENERATION = 0xffffffff;
+
+// Maximum number of bytes queued for sending before `false` is returned from
+// `sync()`, `data()`, and others
+const DEFAULT_SEND_HIGH_WATER_MARK = 64 * 1024;
+const MAX_QUERY_ID = 0xffffffff;
+
+// Number of values per `Request` in `iterate()`
+const DEFAULT_PAGE_SIZE = 1024;
+
+// Live subscriptions, see `subscribe()`
+const DEFAULT_MAX_SUBSCRIPTIONS = 64;
+const MAX_SUBSCRIPTION_ID = 0xffffffff;
+
+// 128kb filters, ~100k entries with 1% false positive rate
+const DEFAULT_MAX_FILTER_SIZE = 1024 * 1024;
+const DEFAULT_MAX_FILTER_HASHES = 32;
+
+// Limits of `Data` messages
+const DEFAULT_MAX_DATA_VALUES = 65536;
+const DEFAULT_MAX_VALUE_SIZE = 64 * 1024;
+
+// Room for `Data` fields other than `values`, and for the framing
+const DATA_OVERHEAD = 1024;
+
+// Protobuf field numbers of `limit` in `Sync` and `Request`
+const SYNC_LIMIT_FIELD = 5;
+const REQUEST_LIMIT_FIELD = 3;
+
+function destroyed() {
+  return new errors.StateError('ERR_DESTROYED', 'Destroyed');
+}
+
+// Timers shouldn't keep the process alive
+function unref(timer) {
+  if (timer.unref)
+    timer.unref();
+  return timer;
+}
+
+// `setTimeout()` fires immediately on larger delays
+const MAX_TIMEOUT = 0x7fffffff;
+
+// Expiration of the Trust Chain in seconds
+function minExpiration(links) {
+  let expiration = Infinity;
+  for (let i = 0; i < links.length; i++)
+    expiration = Math.min(expiration, links[i].expiration);
+  return expiration;
+}
+
 function Stream(options) {
   options = options || {};
   const id = options.id || this._randomBytes(ID_SIZE);
   assert.equal(id.length, ID_SIZE,
                `\`options.id\` must have size ${ID_SIZE}`);
 
-  Parser.call(this, id);
+  Parser.call(this, id, options);
 
   this.feedKey = null;
   this.feed = null;
   this.privateKey = null;
   this.chain = null;
+  this.revocations = null;
+
+  this.maxFilterSize = options.maxFilterSize || DEFAULT_MAX_FILTER_SIZE;
+  this.maxFilterHashes = options.maxFilterHashes || DEFAULT_MAX_FILTER_HASHES;
+
+  this.maxDataValues = options.maxDataValues || DEFAULT_MAX_DATA_VALUES;
+  this.maxValueSize = options.maxValueSize || DEFAULT_MAX_VALUE_SIZE;
+
+  const maxDataSize = this.maxMessageSize - DATA_OVERHEAD;
+  assert(this.maxValueSize <= maxDataSize,
+         `\`options.maxValueSize\` must not exceed ${maxDataSize}`);
+
+  this.maxChainLength = options.maxChainLength === undefined ?
+    constants.MAX_CHAIN_LENGTH : options.maxChainLength;
+  assert(this.maxChainLength <= constants.MAX_CHAIN_LENGTH,
+         `\`options.maxChainLength\` must not exceed ` +
+             constants.MAX_CHAIN_LENGTH);
+
+  this.closeTimeout = options.closeTimeout || DEFAULT_CLOSE_TIMEOUT;
+  this.handshakeTimeout = options.handshakeTimeout === undefined ?
+    DEFAULT_HANDSHAKE_TIMEOUT : options.handshakeTimeout;
+  this.maxQueue = options.maxQueue || DEFAULT_MAX_QUEUE;
+  this.maxQueueSize = options.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+  this.maxSubscriptions = options.maxSubscriptions ||
+    DEFAULT_MAX_SUBSCRIPTIONS;
+
+  // What the signatures of sent `Data` are bound to, used only if the remote
+  // peer supports it. Incoming `Data` without binding is rejected if
+  // `requireDataBinding` is `true`
+  const dataBinding = options.dataBinding || 'none';
+  assert(BINDINGS.hasOwnProperty(dataBinding),
+         '`options.dataBinding` must be one of: ' +
+             Object.keys(BINDINGS).join(', '));
+  this.dataBinding = dataBinding;
+  this.requireDataBinding = options.requireDataBinding === true;
+
+  // Limits advertised by the remote peer in `Handshake`, see `_onHandshake`
+  this.remoteLimits = null;
+
+  // Destroy the stream on invalid incoming messages, instead of just
+  // emitting `protocol-error`
+  this.closeOnProtocolError = options.closeOnProtocolError === true;
 
   this.secure = false;
+
+  // Round-trip time of the last `Ping` in milliseconds
+  this.rtt = null;
+
+  // Either `'secretbox'` or `'legacy'`, known after receiving `Open`
+  this.encryption = null;
+
   this._hyperchain = null;
+  this._allowLegacy = false;
+  this._authorizeHook = null;
+  this._revocationListener = null;
+
+  // Shared store of our best chain, see `options.chainStore` of `start()`
+  this.chainStore = null;
+  this._chainStoreListener = null;
+
+  // Revocation received from the remote peer, not sent back to it
+  this._incomingRevocation = null;
   this._startCallback = null;
 
   this._destroyed = false;
   this._closed = false;
+
+  // `Close` was sent or received, nothing else can be sent after it
+  this._closeSent = false;
+  this._remoteClosed = false;
   this._closeTimer = null;
   this._closeCallback = null;
 
@@ -65,15 +238,109 @@ function Stream(options) {
     reverseHash: null
   };
 
+  // Ephemeral X25519 key pair, `{ publicKey, secretKey }`
+  this._ephemeral = null;
+
   // Encryption state
   this._remote = {
     id: null,
     chain: null,
-    publicKey: null
+
+    // Parsed `chain`
+    links: null,
+    publicKey: null,
+    extensions: null
   };
 
-  // Queue of messages to be sent on `secure`
+  // Extensions supported by both peers, known after receiving `Handshake`
+  this.extensions = null;
+
+  // Registered `Extension`s by name, and by message id once negotiated
+  this._extensions = new Map();
+
+  // Names from `RESPONDER_EXTENSIONS` passed to `provide()`
+  this._provided = new Set();
+  this._extensionsById = new Map();
+
+  // Queue of messages to be sent on `secure`, and their total size
   this._queue = [];
+  this._queueSize = 0;
+
+  this._handshakeTimer = null;
+
+  // Encrypted messages that weren't yet consumed by the readable side
+  this._output = {
+    highWaterMark: options.sendHighWaterMark || DEFAULT_SEND_HIGH_WATER_MARK,
+
+    // Not yet pushed because of backpressure
+    queue: [],
+    queued: 0,
+
+    // Callbacks waiting for the bytes up to `end` to be consumed
+    callbacks: [],
+
+    enqueued: 0,
+    pushed: 0,
+
+    blocked: false,
+    needDrain: false,
+    ending: false
+  };
+
+  this._keepalive = {
+    enabled: false,
+    interval: options.pingInterval === undefined ? DEFAULT_PING_INTERVAL :
+      options.pingInterval,
+    timeout: options.idleTimeout === undefined ? DEFAULT_IDLE_TIMEOUT :
+      options.idleTimeout,
+
+    seq: 0,
+    pending: new Map(),
+    pingTimer: null,
+    idleTimer: null
+  };
+
+  // Rekeying of the `secretbox` session keys, enabled only when the remote
+  // peer supports it
+  this._rekey = {
+    enabled: false,
+    maxBytes: options.rekeyBytes || DEFAULT_REKEY_BYTES,
+    interval: options.rekeyInterval === undefined ? DEFAULT_REKEY_INTERVAL :
+      options.rekeyInterval,
+
+    // Bytes sent with the current key
+    bytes: 0,
+    timer: null,
+
+    generation: { local: 0, remote: 0 }
+  };
+
+  // Expiration timers of the Trust Chains
+  this._expiration = {
+    local: { expiration: Infinity, timer: null },
+    remote: { expiration: Infinity, timer: null }
+  };
+
+  // Keys of the chains passed to `revocations.trust()`
+  this._trusted = {
+    local: [],
+    remote: []
+  };
+
+  // Pending queries by `id`, see `query()`
+  this._queries = new Map();
+  this._lastQueryId = 0;
+
+  // Reconciliations started by us, see `reconcile()`. They share ids with
+  // the queries
+  this._reconciliations = new Map();
+
+  // Our subscriptions by `id`, see `subscribe()`
+  this._subscriptions = new Map();
+  this._lastSubscriptionId = 0;
+
+  // Ranges `{ start, end }` subscribed by the remote peer, by `id`
+  this.remoteSubscriptions = new Map();
 
   this.once('open', open => this._onOpen(open));
 }
@@ -92,15 +359,25 @@ Stream.prototype._hash = function _hash(input) {
   return out;
 };
 
+Stream.prototype._ephemeralKeyPair = function _ephemeralKeyPair() {
+  const secretKey = this._randomBytes(sodium.crypto_scalarmult_SCALARBYTES);
+  const publicKey = Buffer.alloc(sodium.crypto_scalarmult_BYTES);
+  sodium.crypto_scalarmult_base(publicKey, secretKey);
+  return { publicKey, secretKey };
+};
+
 Stream.prototype._open = function _open() {
   debug('[%s] stream open', this._debugId);
 
   const nonce = this._randomBytes(NONCE_SIZE);
   this._nonce.local = nonce;
 
+  this._ephemeral = this._ephemeralKeyPair();
+
   const msg = {
     feed: this.feed,
-    nonce
+    nonce,
+    ephemeral: this._ephemeral && this._ephemeral.publicKey
   };
   const msgLen = messages.Open.encodingLength(msg);
   const buf = Buffer.alloc(MAGIC.length +
@@ -111,12 +388,73 @@ Stream.prototype._open = function _open() {
   varint.encode(msgLen, buf, offset);
   offset += varint.encode.bytes;
   messages.Open.encode(msg, buf, offset);
-  this.push(buf);
+  this._pushOutput(buf, null);
+
+  // NOTE: Encryption is set up in `_onOpen`, nothing is sent before it
+};
 
-  this._xor.self = sodium.crypto_stream_xor_instance(nonce, this.feedKey);
+Stream.prototype._sessionKey = function _sessionKey(shared, from, to) {
+  const out = Buffer.alloc(SESSION_KEY_SIZE);
+  sodium.crypto_generichash(out, Buffer.concat([ this.feedKey, from, to ]),
+                            shared);
+  return out;
+};
+
+// Returns `false` if the remote key is of low order
+Stream.prototype._setupBox = function _setupBox(local, remote) {
+  const shared = Buffer.alloc(sodium.crypto_scalarmult_BYTES);
+  sodium.crypto_scalarmult(shared, local.secretKey, remote);
+
+  let bits = 0;
+  for (let i = 0; i < shared.length; i++)
+    bits |= shared[i];
+  if (bits === 0) {
+    sodium.memzero(local.secretKey);
+    return false;
+  }
+
+  this._box.self = {
+    key: this._sessionKey(shared, local.publicKey, remote),
+    nonce: Buffer.alloc(NONCE_SIZE)
+  };
+  this._box.remote = {
+    key: this._sessionKey(shared, remote, local.publicKey),
+    nonce: Buffer.alloc(NONCE_SIZE)
+  };
+
+  sodium.memzero(shared);
+  sodium.memzero(local.secretKey);
+  return true;
+};
+
+// Replace the key of the `secretbox` direction with the hash of it
+Stream.prototype._ratchet = function _ratchet(box) {
+  const key = Buffer.alloc(SESSION_KEY_SIZE);
+  sodium.crypto_generichash(key, REKEY_PREFIX, box.key);
+  sodium.memzero(box.key);
+
+  box.key = key;
+  box.nonce.fill(0);
+};
+
+Stream.prototype._setupXOR = function _setupXOR(localNonce, remoteNonce) {
+  this._xor.self = sodium.crypto_stream_xor_instance(localNonce,
+                                                     this.feedKey);
   // XXX: store nonce, otherwise it gets GCed
   // See: https://github.com/sodium-friends/sodium-native/pull/21
-  this._xor.self.nonce = nonce;
+  this._xor.self.nonce = localNonce;
+
+  this._xor.remote = sodium.crypto_stream_xor_instance(remoteNonce,
+                                                       this.feedKey);
+  this._xor.remote.nonce = remoteNonce;
+};
+
+Stream.prototype._seal = function _seal(payload) {
+  const out = Buffer.alloc(payload.length + MAC_SIZE);
+  sodium.crypto_secretbox_easy(out, payload,
+                               this._nextNonce(this._box.self),
+                               this._box.self.key);
+  return out;
 };
 
 Stream.prototype._send = function _send(id, Type, content, callback) {
@@ -125,33 +463,116 @@ Stream.prototype._send = function _send(id, Type, content, callback) {
 
   debug('[%s] stream send id=%d size=%d', this._debugId, id, msgLen);
 
-  const buf = Buffer.alloc(varint.encodingLength(idLen + msgLen) +
-                           idLen +
-                           msgLen);
+  let body = Buffer.alloc(idLen + msgLen);
+  varint.encode(id, body, 0);
+  Type.encode(content, body, idLen);
 
-  let offset = 0;
-  varint.encode(idLen + msgLen, buf, offset);
-  offset += varint.encode.bytes;
+  if (this._box.self !== null)
+    body = this._seal(body);
 
-  varint.encode(id, buf, offset);
-  offset += varint.encode.bytes;
+  const buf = Buffer.alloc(varint.encodingLength(body.length) + body.length);
+  varint.encode(body.length, buf, 0);
+  body.copy(buf, varint.encode.bytes);
+
+  if (this._xor.self !== null)
+    this._xor.self.update(buf, buf);
+  const res = this._pushOutput(buf, callback);
+
+  const rekey = this._rekey;
+  rekey.bytes += buf.length;
+  if (rekey.enabled && rekey.bytes >= rekey.maxBytes)
+    this._sendRekey();
+  return res;
+};
 
-  Type.encode(content, buf, offset);
+Stream.prototype._outputLength = function _outputLength() {
+  return this._output.queued + this._readableState.length;
+};
 
-  this._xor.self.update(buf, buf);
-  this.push(buf);
+Stream.prototype._pushOutput = function _pushOutput(buf, callback) {
+  const output = this._output;
 
-  // We can't quite guarantee that the write will go through by then, but
-  // what else can we do?
+  output.queue.push(buf);
+  output.queued += buf.length;
+  output.enqueued += buf.length;
   if (callback)
-    process.nextTick(callback, null);
+    output.callbacks.push({ end: output.enqueued, callback });
+
+  this._flushOutput();
+
+  if (this._outputLength() < output.highWaterMark)
+    return true;
+
+  output.needDrain = true;
+  return false;
+};
+
+Stream.prototype._flushOutput = function _flushOutput() {
+  const output = this._output;
+
+  while (!output.blocked && output.queue.length !== 0) {
+    const buf = output.queue.shift();
+    output.queued -= buf.length;
+    output.pushed += buf.length;
+    if (!this.push(buf))
+      output.blocked = true;
+  }
+
+  if (output.ending && output.queue.length === 0) {
+    output.ending = false;
+    this.push(null);
+  }
+
+  this._onOutputConsumed();
+};
+
+Stream.prototype._onOutputConsumed = function _onOutputConsumed() {
+  const output = this._output;
+  const consumed = output.pushed - this._readableState.length;
+
+  let i = 0;
+  for (; i < output.callbacks.length; i++) {
+    const entry = output.callbacks[i];
+    if (entry.end > consumed)
+      break;
+    process.nextTick(entry.callback, null);
+  }
+  if (i !== 0)
+    output.callbacks = output.callbacks.slice(i);
+
+  // NOTE: `drain` belongs to the writable side, i.e. the incoming data
+  if (output.needDrain && this._outputLength() < output.highWaterMark) {
+    output.needDrain = false;
+    this.emit('output-drain');
+  }
+};
+
+Stream.prototype._read = function _read() {
+  this._output.blocked = false;
+  this._flushOutput();
+};
+
+Stream.prototype.read = function read(n) {
+  const res = Parser.prototype.read.call(this, n);
+
+  // The data was taken from the readable buffer
+  if (res !== null)
+    this._onOutputConsumed();
+  return res;
 };
 
 Stream.prototype._handshake = function _handshake(remoteNonce) {
   this._send(messages.id.HANDSHAKE, messages.Handshake, {
     id: this.id,
+    extensions: this._localExtensions(),
     chain: this.chain,
-    signature: signatures.sign(this._nonce.hash, this.privateKey)
+    signature: signatures.sign(this._nonce.hash, this.privateKey),
+    limits: {
+      maxMessageSize: this.maxMessageSize,
+      maxDataValues: this.maxDataValues,
+      maxFilterSize: this.maxFilterSize,
+      maxFilterHashes: this.maxFilterHashes
+    }
   });
 };
 
@@ -159,24 +580,44 @@ Stream.prototype._onOpen = function _onOpen(open) {
   // NOTE: `open` is emitted by `Parser`
   this._onStart(() => {
     if (!open.feed.equals(this.feed))
-      return this.emit('error', new Error('Feed mismatch'));
+      return this._fail(new errors.HandshakeError('ERR_FEED_MISMATCH',
+                                                  'Feed mismatch'));
+
+    const ephemeral = this._ephemeral;
+    this._ephemeral = null;
 
     this._nonce.remote = open.nonce;
+
+    // Ephemeral keys are bound to the `Handshake` signature
+    let keys = [];
+    let reverseKeys = [];
+    if (ephemeral !== null && open.ephemeral !== null) {
+      this.encryption = 'secretbox';
+      keys = [ ephemeral.publicKey, open.ephemeral ];
+      reverseKeys = [ open.ephemeral, ephemeral.publicKey ];
+
+      if (!this._setupBox(ephemeral, open.ephemeral)) {
+        return this._fail(new errors.HandshakeError('ERR_HANDSHAKE',
+            'Invalid remote ephemeral key'));
+      }
+    } else if (this._allowLegacy) {
+      this.encryption = 'legacy';
+      this._setupXOR(this._nonce.local, this._nonce.remote);
+    } else {
+      return this._fail(new errors.HandshakeError('ERR_UNSUPPORTED',
+          'Remote peer doesn\'t support authenticated encryption'));
+    }
+    debug('[%s] encryption=%s', this._debugId, this.encryption);
+
     this._nonce.hash = this._hash(Buffer.concat([
       this._nonce.local, this._nonce.remote
-    ]));
+    ].concat(keys)));
     this._nonce.reverseHash = this._hash(Buffer.concat([
       this._nonce.remote, this._nonce.local
-    ]));
+    ].concat(reverseKeys)));
     this._nonce.local = null;
     this._nonce.remote = null;
 
-    this._xor.remote = sodium.crypto_stream_xor_instance(open.nonce,
-                                                         this.feedKey);
-    // XXX: store nonce, otherwise it gets GCed
-    // See: https://github.com/sodium-friends/sodium-native/pull/21
-    this._xor.remote.nonce = open.nonce;
-
     this._handshake(open.nonce);
 
     this._resumeParsing();
@@ -191,178 +632,1306 @@ Stream.prototype._onStart = function _onStart(callback) {
 };
 
 Stream.prototype._onHandshake = function _onHandshake(body) {
-  this._hyperchain.verify(body.chain, this._nonce.reverseHash, body.signature);
+  const links = this._verifyRemoteChain(body);
 
   this._remote.id = body.id;
-  this._remote.chain = body.chain;
+  this._remote.extensions = body.extensions;
+
+  // Missing limits are unknown, except for the message size
+  const limits = body.limits || {};
+  this.remoteLimits = {
+    maxMessageSize: limits.maxMessageSize || Parser.MAX_PENDING_SIZE,
+    maxDataValues: limits.maxDataValues || Infinity,
+    maxFilterSize: limits.maxFilterSize || Infinity,
+    maxFilterHashes: limits.maxFilterHashes || Infinity
+  };
 
-  {
-    let publicKey;
-    if (body.chain.length === 0) {
-      publicKey = this.feedKey;
-    } else {
-      const last = body.chain[body.chain.length - 1];
-      publicKey = this._hyperchain.parseLink(last).publicKey;
+  this._legacyFilterOptions =
+      !this.hasExtension(messages.extensions.FILTER_OPTIONS_V2);
+  this._negotiateExtensions();
+
+  this._authorizeRemote(body.chain, links, () => this._onAuthorized());
+};
+
+Stream.prototype._localExtensions = function _localExtensions() {
+  return EXTENSIONS.concat(Array.from(this._provided),
+                           Array.from(this._extensions.keys()));
+};
+
+// Both peers sort the names of the shared registered extensions and allocate
+// message ids in that order, starting from `EXTENSION_ID_BASE`
+Stream.prototype._negotiateExtensions = function _negotiateExtensions() {
+  const local = this._localExtensions();
+  this.extensions = local.filter(name => this.hasExtension(name));
+
+  const shared = Array.from(this._extensions.keys())
+      .filter(name => this.hasExtension(name))
+      .sort();
+  shared.forEach((name, index) => {
+    const ext = this._extensions.get(name);
+    ext.id = messages.EXTENSION_ID_BASE + index;
+    ext.enabled = true;
+    this._extensionsById.set(ext.id, ext);
+  });
+};
+
+Stream.prototype._sendExtension = function _sendExtension(ext, message,
+                                                          callback) {
+  if (!this.secure) {
+    this._enqueue(ext.encoding.encodingLength(message), (err) => {
+      if (err) {
+        if (callback)
+          callback(err);
+        return;
+      }
+      this._sendExtension(ext, message, callback);
+    });
+    return true;
+  }
+
+  if (ext.id === null) {
+    if (callback) {
+      process.nextTick(callback,
+                       new errors.StateError('ERR_UNSUPPORTED',
+                           `Remote peer doesn't support "${ext.name}"`));
     }
-    this._remote.publicKey = publicKey;
+    return true;
   }
 
-  this.secure = true;
-  this.emit('secure', { id: body.id, chain: body.chain });
+  return this._send(ext.id, ext.encoding, message, callback);
+};
 
-  const queue = this._queue;
-  this._queue = null;
-  queue.forEach(cb => cb());
+Stream.prototype._onExtension = function _onExtension(id, payload) {
+  const ext = this._extensionsById.get(id);
 
-  // Issue a Trust Link if needed
-  if (!this._issueLinks || this._remote.chain.length - 1 <= this.chain.length)
+  // Not negotiated, ignore
+  if (ext === undefined)
     return;
 
-  // XXX: doing the work twice here, the links were already parsed above
-  let expiration = Infinity;
-  let publicKey;
-  for (let i = 0; i < this._remote.chain.length; i++) {
-    const link = this._hyperchain.parseLink(this._remote.chain[i]);
-    expiration = Math.min(expiration, link.expiration);
-    publicKey = link.publicKey;
+  let message;
+  try {
+    message = ext.encoding.decode(payload, 0, payload.length);
+  } catch (e) {
+    return this._protocolError('extension', payload, new errors.ProtocolError(
+        'ERR_PROTOCOL', `Invalid "${ext.name}" message: ${e.message}`));
   }
 
-  const link = this._hyperchain.issueLink({
-    expiration: expiration,
-    publicKey: publicKey
-  }, this.privateKey);
-  this._secureSend(messages.id.LINK, messages.Link, { link });
+  debug('[%s] extension message name=%s', this._debugId, ext.name);
+  ext.emit('message', message);
 };
 
-Stream.prototype._onLink = function _onLink(body) {
-  if (this.chain.length - 1 <= this._remote.chain.length)
-    return;
+// Returns parsed links of the remote chain
+Stream.prototype._verifyRemoteChain = function _verifyRemoteChain(body) {
+  if (body.chain.length > this.maxChainLength) {
+    throw new errors.HandshakeError('ERR_HANDSHAKE',
+                                    'Remote Trust Chain is too long');
+  }
 
-  // Construct shorter chain
-  const chain = this._remote.chain.concat(body.link);
+  try {
+    this._hyperchain.verify(body.chain, this._nonce.reverseHash,
+                            body.signature);
+  } catch (e) {
+    throw new errors.HandshakeError('ERR_HANDSHAKE', e.message);
+  }
 
-  // Verify it
-  const sign = signatures.sign(EMPTY_HASH, this.privateKey);
-  this._hyperchain.verify(chain, EMPTY_HASH, sign);
+  const links = body.chain.map(link => this._hyperchain.parseLink(link));
 
-  // Update
-  this.chain = chain;
-  this.emit('chain-update', chain);
+  const revoked = this.revocations.check(links);
+  if (revoked !== -1) {
+    throw new errors.HandshakeError('ERR_REVOKED',
+                                    `Trust Link #${revoked} is revoked`);
+  }
+
+  return links;
 };
 
-Stream.prototype._hashData = function _hashData(body) {
-  const instance = sodium.crypto_generichash_instance(HASH_KEY);
+Stream.prototype._authorizeRemote = function _authorizeRemote(chain, links,
+                                                              callback) {
+  const publicKey = links.length === 0 ? this.feedKey :
+    links[links.length - 1].publicKey;
 
-  const len = Buffer.alloc(VALUES_SERIALIZATION_PREFIX_SIZE);
-  len.writeUInt32BE(body.values.length, VALUES_SERIALIZATION_PREFIX_OFF);
+  const apply = () => {
+    this._remote.chain = chain;
+    this._remote.links = links;
+    this._remote.publicKey = publicKey;
+    this._scheduleExpiration('remote', links);
+    if (this._destroyed)
+      return;
+    this._trustChain('remote', links);
+    callback();
+  };
 
-  instance.update(this.feedKey);
-  instance.update(len);
+  if (this._authorizeHook === null)
+    return apply();
 
-  for (let i = 0; i < body.values.length; i++)
-    instance.update(body.values[i]);
+  const peer = {
+    id: this._remote.id,
+    publicKey,
+    chain: links
+  };
 
-  const hash = Buffer.alloc(HASH_SIZE);
-  instance.final(hash);
+  let sync = true;
+  let finished = false;
+  let syncErr = null;
+  this._authorize(peer, (err) => {
+    finished = true;
+    if (sync) {
+      syncErr = err;
+      return;
+    }
 
-  return hash;
+    if (this._destroyed)
+      return;
+    if (err)
+      return this._fail(err);
+
+    apply();
+    this._resumeParsing();
+  });
+  sync = false;
+
+  // Messages that follow are processed only after authorization
+  if (!finished)
+    return this._pauseParsing();
+
+  if (syncErr)
+    throw syncErr;
+  apply();
 };
 
-Stream.prototype._onData = function _onData(body) {
-  const verified = signatures.verify(this._hashData(body), body.signature,
-                                     this._remote.publicKey);
-  if (!verified)
-    return;
+Stream.prototype._authorize = function _authorize(peer, callback) {
+  let done = false;
+  const finish = (err, allowed) => {
+    if (done)
+      return;
+    done = true;
+
+    if (!err && allowed !== true) {
+      err = new errors.HandshakeError('ERR_UNAUTHORIZED',
+                                      'Peer is not authorized');
+    }
+    callback(err || null);
+  };
 
-  this.emit('message', { type: 'data', body });
+  // The hook may either invoke `callback`, or return a boolean or a Promise
+  let res;
+  try {
+    res = this._authorizeHook(peer, finish);
+  } catch (e) {
+    return finish(e);
+  }
+
+  if (res && typeof res.then === 'function')
+    res.then(allowed => finish(null, allowed), err => finish(err));
+  else if (res !== undefined)
+    finish(null, res);
 };
 
-Stream.prototype._secureSend = function _secureSend(id, Type, content,
-                                                    callback) {
-  // Just to validate that all required fields are present
-  Type.encodingLength(content);
+Stream.prototype._onAuthorized = function _onAuthorized() {
+  const remote = this._remote;
 
-  if (!this.secure) {
-    debug('[%s] pending secure send id=%d', this._debugId, id);
-    this._queue.push((err) => {
-      if (err) {
-        debug('[%s] pending secure send id=%d failure', this._debugId, id);
-        if (callback)
-          callback(err);
+  // Our chain might have expired already
+  const links = this._parseChain(this.chain);
+  this._scheduleExpiration('local', links);
+  if (this._destroyed)
+    return;
+  this._trustChain('local', links);
+
+  this.secure = true;
+  clearTimeout(this._handshakeTimer);
+  this._handshakeTimer = null;
+  if (this.hasExtension(messages.extensions.PING))
+    this._startKeepalive();
+  if (this.encryption === 'secretbox' &&
+      this.hasExtension(messages.extensions.REKEY)) {
+    this._startRekey();
+  }
+  this.emit('secure', { id: remote.id, chain: remote.chain });
+
+  const queue = this._queue;
+  this._queue = null;
+  this._queueSize = 0;
+  queue.forEach(cb => cb());
+
+  if (this.hasExtension(messages.extensions.REVOCATION)) {
+    this.revocations.toArray().forEach((revocation) => {
+      if (!this.revocations.isTrusted(revocation.signer))
         return;
-      }
-      this._secureSend(id, Type, content, callback);
+      this._secureSend(messages.id.REVOCATION, messages.Revocation,
+                       revocation);
     });
-    return;
   }
 
-  this._send(id, Type, content, callback);
+  // Issue a Trust Link if needed
+  if (!this._issueLinks || remote.links.length - 1 <= this.chain.length)
+    return;
+
+  const link = this._hyperchain.issueLink({
+    expiration: minExpiration(remote.links),
+    publicKey: remote.publicKey
+  }, this.privateKey);
+  this._secureSend(messages.id.LINK, messages.Link, { link });
 };
 
-// Public API
+Stream.prototype._write = function _write(data, enc, cb) {
+  if (this._destroyed)
+    return cb(null);
 
-Stream.prototype.start = function start(options) {
-  options = Object.assign({}, options);
+  this._resetIdleTimer();
+  Parser.prototype._write.call(this, data, enc, (err) => {
+    if (!err)
+      return cb(null);
 
-  // Validation
-  assert(Buffer.isBuffer(options.feedKey),
-         '\`options.feedKey\` must be a Buffer');
-  assert.equal(options.feedKey.length, PUBLIC_KEY_SIZE,
-               `\`options.feedKey\` must have size ${PUBLIC_KEY_SIZE}`);
-  assert(Buffer.isBuffer(options.privateKey),
-         '`options.privateKey` must be a Buffer');
-  assert.equal(options.privateKey.length, PRIVATE_KEY_SIZE,
-               `\`options.privateKey\` must have size ${PRIVATE_KEY_SIZE}`);
+    // NOTE: Passing `err` to `cb` would stop the readable side before `Close`
+    // gets out
+    this._fail(err);
+    cb(null);
+  });
+};
 
-  assert(Array.isArray(options.chain), 'options.chain must be an Array');
-  assert(options.chain.length <= constants.MAX_CHAIN_LENGTH,
-         `Maximum chain length size is ${constants.MAX_CHAIN_LENGTH}`);
+Stream.prototype._startKeepalive = function _startKeepalive() {
+  const keepalive = this._keepalive;
+  keepalive.enabled = true;
 
-  this.feedKey = options.feedKey;
-  this.feed = options.discoveryKey || this._hash(this.feedKey);
-  assert.equal(this.feed.length, HASH_SIZE,
-               `\`options.discoverKey\` must have size ${HASH_SIZE}`);
+  if (keepalive.interval !== 0) {
+    keepalive.pingTimer = unref(setInterval(() => {
+      this.ping();
+    }, keepalive.interval));
+  }
 
-  // Init
-  this.privateKey = options.privateKey;
+  this._resetIdleTimer();
+};
 
-  this.chain = options.chain;
-  this._hyperchain = new HyperBloomChain({ root: this.feedKey });
+Stream.prototype._stopKeepalive = function _stopKeepalive(err) {
+  const keepalive = this._keepalive;
+  keepalive.enabled = false;
+
+  clearInterval(keepalive.pingTimer);
+  keepalive.pingTimer = null;
+  clearTimeout(keepalive.idleTimer);
+  keepalive.idleTimer = null;
+
+  const pending = Array.from(keepalive.pending.values());
+  keepalive.pending.clear();
+  pending.forEach((ping) => {
+    clearTimeout(ping.timer);
+    if (ping.callback)
+      ping.callback(err);
+  });
+};
 
-  this._issueLinks = options.issueLinks !== false;
+Stream.prototype._resetIdleTimer = function _resetIdleTimer() {
+  const keepalive = this._keepalive;
+  if (!keepalive.enabled || keepalive.timeout === 0)
+    return;
 
-  // Verify chain early
-  {
-    const sign = signatures.sign(EMPTY_HASH, this.privateKey);
-    this._hyperchain.verify(this.chain, EMPTY_HASH, sign);
-  }
+  clearTimeout(keepalive.idleTimer);
+  keepalive.idleTimer = unref(setTimeout(() => {
+    debug('[%s] idle timeout', this._debugId);
+    this._fail(new errors.TimeoutError('ERR_TIMEOUT', 'Idle timeout'));
+  }, keepalive.timeout));
+};
 
-  this._open();
+Stream.prototype._startRekey = function _startRekey() {
+  const rekey = this._rekey;
+  rekey.enabled = true;
 
-  if (this._startCallback !== null) {
-    const cb = this._startCallback;
-    process.nextTick(cb);
-  }
+  if (rekey.interval !== 0)
+    rekey.timer = unref(setInterval(() => this._sendRekey(), rekey.interval));
 };
 
-Stream.prototype.destroy = function destroy(err) {
-  if (this._destroyed)
-    return;
+Stream.prototype._stopRekey = function _stopRekey() {
+  const rekey = this._rekey;
+  rekey.enabled = false;
+  clearInterval(rekey.timer);
+  rekey.timer = null;
+};
 
-  if (!this.secure) {
-    const queue = this._queue;
-    this._queue = null;
-    queue.forEach(cb => cb(new Error('Destroyed')));
+// All messages after `Rekey` are encrypted with the new key
+Stream.prototype._sendRekey = function _sendRekey(callback) {
+  // Nothing may follow `Close`
+  if (this._closed) {
+    if (callback) {
+      process.nextTick(callback,
+                       new errors.StateError('ERR_CLOSED', 'Stream is closed'));
+    }
+    return true;
   }
 
-  debug('[%s] destroyed', this._debugId);
+  const rekey = this._rekey;
+  rekey.bytes = 0;
+  rekey.generation.local =
+      (rekey.generation.local % MAX_REKEY_GENERATION) + 1;
 
-  clearTimeout(this._closeTimer);
+  debug('[%s] rekey generation=%d', this._debugId, rekey.generation.local);
+  const res = this._send(messages.id.REKEY, messages.Rekey, {
+    generation: rekey.generation.local
+  }, callback);
+  this._ratchet(this._box.self);
+
+  this.emit('rekey', { local: true, generation: rekey.generation.local });
+  return res;
+};
+
+Stream.prototype._onRekey = function _onRekey(body) {
+  const rekey = this._rekey;
+  const expected = (rekey.generation.remote % MAX_REKEY_GENERATION) + 1;
+
+  if (this._box.remote === null) {
+    throw new errors.ProtocolError('ERR_PROTOCOL',
+                                   'Rekey requires authenticated encryption');
+  }
+  // Following boxes can't be opened anyway, destroy the stream
+  if (body.generation !== expected)
+    throw new errors.ProtocolError('ERR_PROTOCOL', 'Invalid Rekey generation');
+
+  rekey.generation.remote = expected;
+  this._ratchet(this._box.remote);
+
+  debug('[%s] remote rekey generation=%d', this._debugId, expected);
+  this.emit('rekey', { local: false, generation: expected });
+};
+
+Stream.prototype._onPing = function _onPing(body) {
+  this._secureSend(messages.id.PONG, messages.Pong, { seq: body.seq });
+};
+
+Stream.prototype._onPong = function _onPong(body) {
+  const ping = this._keepalive.pending.get(body.seq);
+  if (ping === undefined)
+    return;
+  this._keepalive.pending.delete(body.seq);
+  clearTimeout(ping.timer);
+
+  this.rtt = Date.now() - ping.time;
+  debug('[%s] rtt=%d', this._debugId, this.rtt);
+  this.emit('rtt', this.rtt);
+
+  if (ping.callback)
+    ping.callback(null, this.rtt);
+};
+
+Stream.prototype._sendClose = function _sendClose(err) {
+  if (this._closeSent || this._remoteClosed)
+    return;
+
+  // Nothing can be sent before the encryption is set up
+  if (this._box.self === null && this._xor.self === null)
+    return;
+  this._closeSent = true;
+
+  const body = {
+    reason: err ? errors.codeToReason(err.code) : errors.reasons.ERR_NORMAL
+  };
+  if (err)
+    body.message = err.message;
+
+  debug('[%s] send close reason=%d', this._debugId, body.reason);
+  this._send(messages.id.CLOSE, messages.Close, body);
+};
+
+Stream.prototype._onClose = function _onClose(body) {
+  this._remoteClosed = true;
+
+  const code = errors.reasonToCode(body.reason);
+  debug('[%s] remote close code=%s message=%j', this._debugId, code,
+        body.message);
+  this.emit('remote-close', {
+    code,
+    reason: body.reason,
+    message: body.message
+  });
+
+  this.destroy();
+};
+
+Stream.prototype._onLink = function _onLink(body) {
+  if (this.chain.length - 1 <= this._remote.chain.length)
+    return;
+
+  // Construct shorter chain
+  const chain = this._remote.chain.concat(body.link);
+
+  // Don't accept links to or from the revoked keys
+  if (this.revocations.check(this._parseChain(chain)) !== -1)
+    return;
+
+  // Verify it
+  const sign = signatures.sign(EMPTY_HASH, this.privateKey);
+  this._hyperchain.verify(chain, EMPTY_HASH, sign);
+
+  // Update
+  this._setChain(chain);
+  this.emit('chain-update', chain);
+
+  // Let the other streams of the feed use it too
+  if (this.chainStore !== null)
+    this.chainStore.update(this.feedKey, chain);
+};
+
+// Returns `true` if `chain` ends with our key and none of its links is revoked
+Stream.prototype._isOwnChain = function _isOwnChain(chain) {
+  try {
+    if (this.revocations.check(this._parseChain(chain)) !== -1)
+      return false;
+
+    const sign = signatures.sign(EMPTY_HASH, this.privateKey);
+    this._hyperchain.verify(chain, EMPTY_HASH, sign);
+  } catch (e) {
+    return false;
+  }
+  return true;
+};
+
+// Chain shortened by the other stream sharing `chainStore`
+Stream.prototype._onStoredChain = function _onStoredChain(update) {
+  if (this._destroyed || !update.feedKey.equals(this.feedKey))
+    return;
+
+  const chain = update.chain;
+  if (chain.length >= this.chain.length || !this._isOwnChain(chain))
+    return;
+
+  debug('[%s] stored chain update', this._debugId);
+  this._setChain(chain);
+  this.emit('chain-update', chain);
+};
+
+// Revocations signed by the keys of both chains are accepted and forwarded
+Stream.prototype._trustChain = function _trustChain(side, links) {
+  const keys = links.map(link => link.publicKey);
+  this.revocations.untrust(this._trusted[side]);
+  this.revocations.trust(keys);
+  this._trusted[side] = keys;
+};
+
+Stream.prototype._parseChain = function _parseChain(chain) {
+  return chain.map(link => this._hyperchain.parseLink(link));
+};
+
+Stream.prototype._setChain = function _setChain(chain) {
+  this.chain = chain;
+
+  // `Handshake` with the new chain wasn't sent yet
+  if (this._nonce.hash === null)
+    return;
+
+  if (!this.secure) {
+    this._enqueue(0, (err) => {
+      if (!err && this.chain === chain)
+        this._setChain(chain);
+    });
+    return;
+  }
+
+  const links = this._parseChain(chain);
+  this._scheduleExpiration('local', links);
+  this._trustChain('local', links);
+
+  if (!this.hasExtension(messages.extensions.CHAIN_UPDATE))
+    return;
+
+  this._secureSend(messages.id.CHAIN_UPDATE, messages.ChainUpdate, {
+    chain,
+    signature: signatures.sign(this._nonce.hash, this.privateKey)
+  });
+};
+
+Stream.prototype._onChainUpdate = function _onChainUpdate(body) {
+  const links = this._verifyRemoteChain(body);
+
+  this._authorizeRemote(body.chain, links, () => {
+    debug('[%s] remote chain update', this._debugId);
+    this.emit('remote-chain-update', body.chain);
+  });
+};
+
+Stream.prototype._scheduleExpiration = function _scheduleExpiration(side,
+                                                                    links) {
+  const state = this._expiration[side];
+  clearTimeout(state.timer);
+  state.timer = null;
+  state.expiration = minExpiration(links);
+
+  if (state.expiration === Infinity)
+    return;
+
+  const check = () => {
+    const delay = state.expiration * 1000 - Date.now();
+    if (delay <= 0) {
+      state.timer = null;
+      return this._onChainExpired(side);
+    }
+
+    state.timer = unref(setTimeout(check, Math.min(delay, MAX_TIMEOUT)));
+  };
+  check();
+};
+
+Stream.prototype._onChainExpired = function _onChainExpired(side) {
+  const state = this._expiration[side];
+  const local = side === 'local';
+
+  debug('[%s] chain expired local=%j', this._debugId, local);
+  this.emit('chain-expired', { local, expiration: state.expiration });
+
+  // Listeners may update the chain
+  if (this._destroyed || state.expiration * 1000 > Date.now())
+    return;
+
+  this._fail(new errors.HandshakeError('ERR_EXPIRED', local ?
+    'Trust Chain has expired' : 'Remote Trust Chain has expired'));
+};
+
+Stream.prototype._onRevocation = function _onRevocation(body) {
+  if (!this.revocations.verify(body))
+    return this._reject('revocation', body, 'Invalid signature');
+  if (!this.revocations.isTrusted(body.signer))
+    return this._reject('revocation', body, 'Untrusted signer');
+  if (this.revocations.size >= this.revocations.maxSize)
+    return this._reject('revocation', body, 'Too many revocations');
+
+  this._incomingRevocation = body;
+  try {
+    this.revocations.add(body);
+  } finally {
+    this._incomingRevocation = null;
+  }
+};
+
+Stream.prototype._onNewRevocation = function _onNewRevocation(revocation) {
+  if (!this.secure || this._destroyed)
+    return;
+
+  if (revocation !== this._incomingRevocation &&
+      this.revocations.isTrusted(revocation.signer) &&
+      this.hasExtension(messages.extensions.REVOCATION)) {
+    this._secureSend(messages.id.REVOCATION, messages.Revocation,
+                     revocation);
+  }
+
+  // NOTE: Revoked peer still receives the revocation above
+  const revoked = this.revocations.check(this._remote.links);
+  if (revoked !== -1) {
+    debug('[%s] remote chain revoked', this._debugId);
+    this._fail(new errors.HandshakeError(
+        'ERR_REVOKED', `Trust Link #${revoked} is revoked`));
+  }
+};
+
+// `key` is the nonce hash or the public key the signature is bound to
+Stream.prototype._hashData = function _hashData(body, key) {
+  const instance = sodium.crypto_generichash_instance(HASH_KEY);
+
+  const count = body.values.length;
+  const len = Buffer.alloc(VALUES_COUNT_SIZE);
+  len.writeUInt32BE(Math.floor(count / UINT32_RANGE), 0);
+  len.writeUInt32BE(count % UINT32_RANGE, 4);
+
+  if (body.binding) {
+    instance.update(Buffer.from([ body.binding ]));
+    instance.update(key);
+  }
+  instance.update(this.feedKey);
+  instance.update(len);
+
+  for (let i = 0; i < body.values.length; i++)
+    instance.update(body.values[i]);
+
+  const hash = Buffer.alloc(HASH_SIZE);
+  instance.final(hash);
+
+  return hash;
+};
+
+// Returns `ProtocolError` if `values` violate `Data` invariants
+Stream.prototype._checkValues = function _checkValues(values) {
+  if (values.length === 0)
+    return new errors.ProtocolError('ERR_PROTOCOL', '`values` are empty');
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i].length === 0)
+      return new errors.ProtocolError('ERR_PROTOCOL', 'Empty value in Data');
+    if (values[i].length > this.maxValueSize) {
+      return new errors.ProtocolError('ERR_MESSAGE_TOO_BIG',
+                                      'Value is too big');
+    }
+  }
+
+  const sorted = values.slice().sort(Buffer.compare);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i - 1].equals(sorted[i]))
+      return new errors.ProtocolError('ERR_PROTOCOL',
+                                      'Duplicate value in Data');
+  }
+
+  return null;
+};
+
+Stream.prototype._protocolError = function _protocolError(type, body, err) {
+  debug('[%s] protocol error type=%s message=%s', this._debugId, type,
+        err.message);
+  this.emit('protocol-error', { type, body, error: err });
+
+  if (this.closeOnProtocolError)
+    this._fail(err);
+};
+
+Stream.prototype._onData = function _onData(body) {
+  if (body.values.length > this.maxDataValues) {
+    return this._protocolError('data', body, new errors.ProtocolError(
+        'ERR_MESSAGE_TOO_BIG', 'Too many `values` in Data'));
+  }
+
+  const err = this._checkValues(body.values);
+  if (err !== null)
+    return this._protocolError('data', body, err);
+
+  let key;
+  if (body.binding === messages.binding.SESSION) {
+    key = this._nonce.reverseHash;
+  } else if (body.binding === messages.binding.SIGNER) {
+    key = this._remote.publicKey;
+  } else if (body.binding !== messages.binding.NONE) {
+    return this._protocolError('data', body, new errors.ProtocolError(
+        'ERR_PROTOCOL', 'Unknown Data `binding`'));
+  } else if (this.requireDataBinding) {
+    return this._protocolError('data', body, new errors.ProtocolError(
+        'ERR_AUTHENTICATION', 'Data signature is not bound'));
+  }
+
+  const verified = signatures.verify(this._hashData(body, key),
+                                     body.signature, this._remote.publicKey);
+  if (!verified) {
+    return this._protocolError('data', body, new errors.ProtocolError(
+        'ERR_AUTHENTICATION', 'Invalid Data signature'));
+  }
+
+  if (body.next !== null &&
+      body.values.some(value => Buffer.compare(value, body.next) >= 0)) {
+    return this._protocolError('data', body, new errors.ProtocolError(
+        'ERR_PROTOCOL', '`next` must be greater than `values`'));
+  }
+
+  const query = body.id === 0 ? undefined : this._queries.get(body.id);
+  if (query !== undefined) {
+    for (let i = 0; i < body.values.length; i++)
+      query.values.push(body.values[i]);
+    if (body.next !== null)
+      query.next = body.next;
+  }
+
+  const reconciliation = body.id === 0 ? undefined :
+    this._reconciliations.get(body.id);
+  if (reconciliation !== undefined)
+    reconciliation._onData(body);
+
+  const subscription = body.subscription === 0 ? undefined :
+    this._subscriptions.get(body.subscription);
+  if (subscription !== undefined)
+    subscription.emit('values', body.values);
+
+  const signer = {
+    publicKey: this._remote.publicKey,
+    chain: this._remote.links
+  };
+  this.emit('message', { type: 'data', body, signer });
+};
+
+// `Data` of the other peer, verified with the embedded chain
+Stream.prototype._onForwardedData = function _onForwardedData(body) {
+  const reject = (code, message) => {
+    this._protocolError('forwarded-data', body,
+                        new errors.ProtocolError(code, message));
+  };
+
+  if (body.values.length > this.maxDataValues)
+    return reject('ERR_MESSAGE_TOO_BIG', 'Too many `values` in ForwardedData');
+
+  const err = this._checkValues(body.values);
+  if (err !== null)
+    return this._protocolError('forwarded-data', body, err);
+
+  if (body.chain.length > this.maxChainLength)
+    return reject('ERR_PROTOCOL', 'Forwarded Trust Chain is too long');
+
+  let links;
+  try {
+    links = body.chain.map(link => this._hyperchain.parseLink(link));
+  } catch (e) {
+    return reject('ERR_PROTOCOL', e.message);
+  }
+  const publicKey = links.length === 0 ? this.feedKey :
+    links[links.length - 1].publicKey;
+
+  let key = null;
+  if (body.binding === messages.binding.SIGNER)
+    key = publicKey;
+  else if (body.binding !== messages.binding.NONE)
+    return reject('ERR_PROTOCOL', 'Invalid ForwardedData `binding`');
+  else if (this.requireDataBinding)
+    return reject('ERR_AUTHENTICATION', 'Data signature is not bound');
+
+  try {
+    this._hyperchain.verify(body.chain, this._hashData(body, key),
+                            body.signature);
+  } catch (e) {
+    return reject('ERR_AUTHENTICATION', e.message);
+  }
+
+  const revoked = this.revocations.check(links);
+  if (revoked !== -1)
+    return reject('ERR_AUTHENTICATION', `Trust Link #${revoked} is revoked`);
+
+  const signer = { publicKey, chain: links };
+  const emit = () => {
+    this.emit('message', { type: 'forwarded-data', body, signer });
+  };
+
+  if (this._authorizeHook === null)
+    return emit();
+
+  // The signer is subject to the same policy as the remote peer, it just has
+  // no connection `id`
+  const peer = { id: null, publicKey, chain: links };
+
+  let sync = true;
+  let finished = false;
+  let syncErr = null;
+  this._authorize(peer, (err) => {
+    finished = true;
+    if (sync) {
+      syncErr = err;
+      return;
+    }
+
+    if (this._destroyed)
+      return;
+    if (err)
+      this._reject('forwarded-data', body, err.message);
+    else
+      emit();
+    this._resumeParsing();
+  });
+  sync = false;
+
+  // Messages that follow are processed only after authorization
+  if (!finished)
+    return this._pauseParsing();
+
+  if (syncErr)
+    return this._reject('forwarded-data', body, syncErr.message);
+  emit();
+};
+
+Stream.prototype._onDone = function _onDone(body) {
+  const query = this._queries.get(body.id);
+  if (query !== undefined)
+    query.finish(null, query);
+
+  this.emit('message', { type: 'done', body });
+};
+
+Stream.prototype._nextQueryId = function _nextQueryId() {
+  do {
+    this._lastQueryId = (this._lastQueryId % MAX_QUERY_ID) + 1;
+  } while (this._queries.has(this._lastQueryId) ||
+           this._reconciliations.has(this._lastQueryId));
+  return this._lastQueryId;
+};
+
+// `result` maps finished query `{ values, next }` to the resolved value
+Stream.prototype._query = function _query(send, body, options, result) {
+  options = options || {};
+  result = result || (query => query.values);
+  const timeout = options.timeout === undefined ? DEFAULT_QUERY_TIMEOUT :
+    options.timeout;
+
+  let cancel;
+  const promise = new Promise((resolve, reject) => {
+    let done = false;
+    let id = null;
+    let timer = null;
+
+    const finish = (err, query) => {
+      if (done)
+        return;
+      done = true;
+
+      clearTimeout(timer);
+      if (id !== null)
+        this._queries.delete(id);
+
+      if (err)
+        reject(err);
+      else
+        resolve(result(query));
+    };
+    cancel = () => {
+      finish(new errors.StateError('ERR_CANCELLED', 'Query cancelled'));
+    };
+
+    const start = (err) => {
+      if (err)
+        return finish(err);
+      if (done)
+        return;
+
+      if (!this.hasExtension(messages.extensions.QUERY_ID))
+        return finish(new errors.StateError('ERR_UNSUPPORTED',
+            'Remote peer doesn\'t support queries'));
+
+      id = this._nextQueryId();
+      this._queries.set(id, { values: [], next: null, finish });
+      send.call(this, Object.assign({}, body, { id }), (err) => {
+        if (err)
+          finish(err);
+      });
+    };
+
+    if (timeout !== 0) {
+      timer = setTimeout(() => {
+        debug('[%s] query timeout id=%d', this._debugId, id);
+        finish(new errors.TimeoutError('ERR_TIMEOUT', 'Query timed out'));
+      }, timeout);
+    }
+
+    if (this.secure)
+      return start(null);
+
+    debug('[%s] pending secure query', this._debugId);
+    this._enqueue(0, start);
+  });
+
+  promise.cancel = cancel;
+  return promise;
+};
+
+Stream.prototype._reject = function _reject(type, body, reason) {
+  debug('[%s] rejected message type=%s reason=%s', this._debugId, type,
+        reason);
+  this.emit('rejected', { type, body, reason });
+
+  // Let the remote side know that there will be no results for the query
+  if ((type === 'sync' || type === 'request' || type === 'want') && body.id)
+    this.done({ id: body.id });
+
+  // Empty table lets the remote side fall back to `Sync`
+  if (type === 'estimate' && body.id)
+    this.table({ id: body.id, cells: EMPTY });
+
+  // Close the subscription on the remote side, unless the `id` belongs to the
+  // active one
+  if (type === 'subscribe' && body.id &&
+      !this.remoteSubscriptions.has(body.id)) {
+    this._secureSend(messages.id.UNSUBSCRIBE, messages.Unsubscribe, {
+      id: body.id,
+      rejected: true
+    });
+  }
+};
+
+Stream.prototype._onSync = function _onSync(body, raw) {
+  if (!BloomFilter.isValidSize(body.filter, body.size))
+    return this._reject('sync', body, 'Invalid filter size');
+  if (body.n === 0)
+    return this._reject('sync', body, 'Invalid number of hash functions');
+  if (body.limit === 0 && messages.hasField(raw, SYNC_LIMIT_FIELD))
+    return this._reject('sync', body, '`limit` must not be zero');
+
+  if (body.size > this.maxFilterSize || body.n > this.maxFilterHashes) {
+    this._reject('sync', body, 'Filter is too big');
+
+    // Legacy peers can't decode `FilterOptions`
+    if (!this._legacyFilterOptions) {
+      this.filterOptions({
+        size: this.maxFilterSize,
+        n: this.maxFilterHashes
+      });
+    }
+    return;
+  }
+
+  this.emit('message', { type: 'sync', body });
+};
+
+Stream.prototype._onRequest = function _onRequest(body, raw) {
+  if (body.limit === 0 && messages.hasField(raw, REQUEST_LIMIT_FIELD))
+    return this._reject('request', body, '`limit` must not be zero');
+
+  this.emit('message', { type: 'request', body });
+};
+
+Stream.prototype._onSubscribe = function _onSubscribe(body) {
+  if (body.id === 0)
+    return this._reject('subscribe', body, '`id` must not be zero');
+  if (this.remoteSubscriptions.has(body.id))
+    return this._reject('subscribe', body, 'Duplicate `id`');
+  if (this.remoteSubscriptions.size >= this.maxSubscriptions)
+    return this._reject('subscribe', body, 'Too many subscriptions');
+
+  this.remoteSubscriptions.set(body.id, {
+    start: body.start || null,
+    end: body.end || null
+  });
+
+  this.emit('message', { type: 'subscribe', body });
+};
+
+Stream.prototype._onUnsubscribe = function _onUnsubscribe(body) {
+  // Our subscription was rejected by the remote peer
+  if (body.rejected) {
+    const subscription = this._subscriptions.get(body.id);
+    if (subscription === undefined)
+      return;
+
+    this._subscriptions.delete(body.id);
+    subscription._close(new errors.StateError('ERR_REJECTED',
+        'Subscription was rejected by the remote peer'));
+    return;
+  }
+
+  if (!this.remoteSubscriptions.delete(body.id))
+    return;
+
+  this.emit('message', { type: 'unsubscribe', body });
+};
+
+Stream.prototype._nextSubscriptionId = function _nextSubscriptionId() {
+  do {
+    this._lastSubscriptionId =
+        (this._lastSubscriptionId % MAX_SUBSCRIPTION_ID) + 1;
+  } while (this._subscriptions.has(this._lastSubscriptionId));
+  return this._lastSubscriptionId;
+};
+
+Stream.prototype._subscribe = function _subscribe(subscription) {
+  const body = {
+    id: subscription.id,
+    start: subscription.start,
+    end: subscription.end
+  };
+
+  if (!this.secure) {
+    this._enqueue(messages.Subscribe.encodingLength(body), (err) => {
+      if (err) {
+        this._subscriptions.delete(subscription.id);
+        return subscription._close(err);
+      }
+      this._subscribe(subscription);
+    });
+    return;
+  }
+
+  // Unsubscribed before `secure`
+  if (!subscription.active)
+    return;
+
+  if (!this.hasExtension(messages.extensions.SUBSCRIBE)) {
+    this._subscriptions.delete(subscription.id);
+    process.nextTick(() => {
+      subscription._close(new errors.StateError('ERR_UNSUPPORTED',
+          'Remote peer doesn\'t support subscriptions'));
+    });
+    return;
+  }
+
+  this._send(messages.id.SUBSCRIBE, messages.Subscribe, body);
+};
+
+Stream.prototype._unsubscribe = function _unsubscribe(subscription,
+                                                      callback) {
+  if (!subscription.active) {
+    if (callback)
+      process.nextTick(callback, null);
+    return true;
+  }
+
+  this._subscriptions.delete(subscription.id);
+  subscription._close();
+
+  // Not sent yet
+  if (!this.secure || !this.hasExtension(messages.extensions.SUBSCRIBE)) {
+    if (callback)
+      process.nextTick(callback, null);
+    return true;
+  }
+
+  return this._send(messages.id.UNSUBSCRIBE, messages.Unsubscribe,
+                    { id: subscription.id }, callback);
+};
+
+Stream.prototype._onEstimate = function _onEstimate(body) {
+  if (body.id === 0)
+    return this._reject('estimate', body, '`id` must not be zero');
+  if (!StrataEstimator.isValid(body.strata))
+    return this._reject('estimate', body, 'Invalid strata');
+
+  this.emit('message', { type: 'estimate', body });
+};
+
+Stream.prototype._onTable = function _onTable(body) {
+  if (body.cells.length !== 0 && !IBLT.isValidSize(body.cells)) {
+    return this._protocolError('table', body, new errors.ProtocolError(
+        'ERR_PROTOCOL', 'Invalid size of `cells`'));
+  }
+
+  const query = this._queries.get(body.id);
+  if (query !== undefined) {
+    query.cells = body.cells;
+    query.finish(null, query);
+  }
+
+  this.emit('message', { type: 'table', body });
+};
+
+Stream.prototype._onWant = function _onWant(body) {
+  if (body.keys.some(key => key.length !== IBLT.KEY_SIZE))
+    return this._reject('want', body, 'Invalid key size');
+
+  this.emit('message', { type: 'want', body });
+};
+
+Stream.prototype._onFingerprints = function _onFingerprints(body) {
+  const invalid = body.ranges.some((range) => {
+    return range.fingerprint.length !== Reconciler.FINGERPRINT_SIZE;
+  });
+  if (invalid) {
+    return this._protocolError('fingerprints', body, new errors.ProtocolError(
+        'ERR_PROTOCOL', 'Invalid fingerprint size'));
+  }
+
+  if (body.response) {
+    const reconciliation = this._reconciliations.get(body.id);
+    if (reconciliation !== undefined)
+      reconciliation._onResponse(body);
+  }
+
+  this.emit('message', { type: 'fingerprints', body });
+};
+
+Stream.prototype._secureSend = function _secureSend(id, Type, content,
+                                                    callback) {
+  // Just to validate that all required fields are present
+  Type.encodingLength(content);
+
+  if (!this.secure) {
+    debug('[%s] pending secure send id=%d', this._debugId, id);
+    this._enqueue(Type.encodingLength(content), (err) => {
+      if (err) {
+        debug('[%s] pending secure send id=%d failure', this._debugId, id);
+        if (callback)
+          callback(err);
+        return;
+      }
+      this._secureSend(id, Type, content, callback);
+    });
+    return true;
+  }
+
+  // Peers without `filter-options-v2` fail to decode any `FilterOptions`
+  if (id === messages.id.FILTER_OPTIONS && this._legacyFilterOptions) {
+    debug('[%s] remote doesn\'t support filter options', this._debugId);
+    if (callback) {
+      process.nextTick(callback,
+                       new errors.StateError('ERR_UNSUPPORTED',
+                           'Remote peer doesn\'t support FilterOptions'));
+    }
+    return true;
+  }
+
+  return this._send(id, Type, content, callback);
+};
+
+// Queue `callback` until `secure`. It is invoked with an error if the queue is
+// full, or if the stream is destroyed before `secure`
+Stream.prototype._enqueue = function _enqueue(size, callback) {
+  if (this._queue.length >= this.maxQueue ||
+      this._queueSize + size > this.maxQueueSize) {
+    debug('[%s] pending secure queue is full', this._debugId);
+    process.nextTick(callback, new errors.StateError(
+        'ERR_QUEUE_FULL', 'Queue of messages before `secure` is full'));
+    return;
+  }
+
+  this._queueSize += size;
+  this._queue.push(callback);
+};
+
+Stream.prototype._onHandshakeTimeout = function _onHandshakeTimeout() {
+  this._handshakeTimer = null;
+
+  debug('[%s] handshake timeout', this._debugId);
+  this.emit('handshake-timeout');
+  this._fail(new errors.TimeoutError('ERR_TIMEOUT',
+                                     'Handshake timed out'));
+};
+
+// Public API
+
+Stream.prototype.start = function start(options) {
+  options = Object.assign({}, options);
+
+  // Validation
+  assert(Buffer.isBuffer(options.feedKey),
+         '\`options.feedKey\` must be a Buffer');
+  assert.equal(options.feedKey.length, PUBLIC_KEY_SIZE,
+               `\`options.feedKey\` must have size ${PUBLIC_KEY_SIZE}`);
+  assert(Buffer.isBuffer(options.privateKey),
+         '`options.privateKey` must be a Buffer');
+  assert.equal(options.privateKey.length, PRIVATE_KEY_SIZE,
+               `\`options.privateKey\` must have size ${PRIVATE_KEY_SIZE}`);
+
+  assert(Array.isArray(options.chain), 'options.chain must be an Array');
+  assert(options.chain.length <= constants.MAX_CHAIN_LENGTH,
+         `Maximum chain length size is ${constants.MAX_CHAIN_LENGTH}`);
+
+  this.feedKey = options.feedKey;
+  this.feed = options.discoveryKey || this._hash(this.feedKey);
+  assert.equal(this.feed.length, HASH_SIZE,
+               `\`options.discoverKey\` must have size ${HASH_SIZE}`);
+
+  // Init
+  this.privateKey = options.privateKey;
+
+  this.chain = options.chain;
+  this._hyperchain = new HyperBloomChain({ root: this.feedKey });
+
+  this._issueLinks = options.issueLinks !== false;
+  this._allowLegacy = options.allowLegacy === true;
+
+  this.revocations = options.revocations ||
+    new RevocationSet({ feedKey: this.feedKey });
+  assert(this.revocations.feedKey.equals(this.feedKey),
+         '`options.revocations` must belong to the same feed');
+  this._revocationListener = revocation => this._onNewRevocation(revocation);
+  this.revocations.on('revocation', this._revocationListener);
+
+  if (options.authorize !== undefined) {
+    assert.equal(typeof options.authorize, 'function',
+                 '`options.authorize` must be a Function');
+    this._authorizeHook = options.authorize;
+  }
+
+  // Verify chain early
+  {
+    const sign = signatures.sign(EMPTY_HASH, this.privateKey);
+    this._hyperchain.verify(this.chain, EMPTY_HASH, sign);
+  }
+
+  if (options.chainStore !== undefined)
+    this._useChainStore(options.chainStore);
+
+  if (this.handshakeTimeout !== 0) {
+    this._handshakeTimer = unref(setTimeout(() => this._onHandshakeTimeout(),
+                                            this.handshakeTimeout));
+  }
+
+  this._open();
+
+  if (this._startCallback !== null) {
+    const cb = this._startCallback;
+    process.nextTick(cb);
+  }
+};
+
+Stream.prototype._useChainStore = function _useChainStore(store) {
+  assert(store && typeof store.get === 'function' &&
+             typeof store.update === 'function',
+         '`options.chainStore` must be a ChainStore');
+  this.chainStore = store;
+
+  // Stored chain may belong to a different key, or be expired
+  const stored = store.get(this.feedKey);
+  if (stored === null || !this._isOwnChain(stored))
+    store.set(this.feedKey, this.chain);
+  else if (stored.length < this.chain.length)
+    this.chain = stored;
+  else
+    store.update(this.feedKey, this.chain);
+
+  this._chainStoreListener = update => this._onStoredChain(update);
+  store.on('update', this._chainStoreListener);
+};
+
+// `err` is only used for the reason of `Close`, see `_fail()`
+Stream.prototype.destroy = function destroy(err) {
+  this._teardown(err, false);
+};
+
+// Destroy the stream because of a failure, and emit it as `error`
+Stream.prototype._fail = function _fail(err) {
+  this._teardown(err, true);
+};
+
+Stream.prototype._teardown = function _teardown(err, emitError) {
+  if (this._destroyed)
+    return;
+
+  // Let the remote side know why the connection is going away. Queued messages
+  // have to go out first, they were already encrypted
+  this._sendClose(err);
+  const output = this._output;
+  output.queue.forEach(buf => this.push(buf));
+
+  this._stopKeepalive(destroyed());
+  this._stopRekey();
+
+  if (!this.secure) {
+    const queue = this._queue;
+    this._queue = null;
+    queue.forEach(cb => cb(destroyed()));
+  }
+
+  const queries = Array.from(this._queries.values());
+  this._queries.clear();
+  queries.forEach(query => query.finish(destroyed()));
+
+  const reconciliations = Array.from(this._reconciliations.values());
+  reconciliations.forEach(reconciler => reconciler._finish(destroyed()));
+
+  const subscriptions = Array.from(this._subscriptions.values());
+  this._subscriptions.clear();
+  this.remoteSubscriptions.clear();
+  subscriptions.forEach(subscription => subscription._close());
+
+  if (this._revocationListener !== null) {
+    this.revocations.removeListener('revocation', this._revocationListener);
+    this._revocationListener = null;
+    this.revocations.untrust(this._trusted.local);
+    this.revocations.untrust(this._trusted.remote);
+    this._trusted.local = [];
+    this._trusted.remote = [];
+  }
+  if (this._chainStoreListener !== null) {
+    this.chainStore.removeListener('update', this._chainStoreListener);
+    this._chainStoreListener = null;
+  }
+
+  debug('[%s] destroyed', this._debugId);
+
+  clearTimeout(this._handshakeTimer);
+  this._handshakeTimer = null;
+
+  clearTimeout(this._expiration.local.timer);
+  this._expiration.local.timer = null;
+  clearTimeout(this._expiration.remote.timer);
+  this._expiration.remote.timer = null;
+
+  clearTimeout(this._closeTimer);
   this._closeTimer = null;
   if (this._closeCallback)
     this._closeCallback(null);
 
+  const callbacks = output.callbacks;
+  output.callbacks = [];
+  output.queue = [];
+  output.queued = 0;
+  callbacks.forEach(entry => entry.callback(destroyed()));
+
   this._destroyed = true;
+  if (emitError)
+    this.emit('error', err);
   this.emit('close');
 };
 
@@ -371,29 +1940,47 @@ Stream.prototype.close = function close(callback) {
     return;
 
   this._closed = true;
+  this._stopRekey();
 
   debug('[%s] close', this._debugId);
   this._closeTimer = setTimeout(() => {
     debug('[%s] close timeout', this._debugId);
     this.destroy();
-  }, DEFAULT_CLOSE_TIMEOUT);
+  }, this.closeTimeout);
   this._closeCallback = callback;
-  this.push(null);
+
+  this._sendClose(null);
+
+  // Flush queued messages first
+  this._output.ending = true;
+  this._flushOutput();
 };
 
 Stream.prototype.sync = function sync(body, callback) {
-  this._secureSend(messages.id.SYNC, messages.Sync, body, callback);
+  assert(body.limit !== 0, '`body.limit` must not be zero');
+  return this._secureSend(messages.id.SYNC, messages.Sync, body, callback);
 };
 
 Stream.prototype.filterOptions = function filterOptions(body, callback) {
-  this._secureSend(messages.id.FILTER_OPTIONS, messages.FilterOptions, body,
-                   callback);
+  return this._secureSend(messages.id.FILTER_OPTIONS, messages.FilterOptions,
+                          body, callback);
 };
 
 Stream.prototype.data = function data(body, callback) {
+  assert(Array.isArray(body.values), '`body.values` must be an Array');
+  body.values.forEach((value) => {
+    assert(Buffer.isBuffer(value), '`body.values` must contain Buffers');
+  });
+
+  // NOTE: Too many values are split into several batches below
+  const err = this._checkValues(body.values);
+  if (err !== null)
+    throw err;
+
   if (!this.secure) {
     debug('[%s] pending secure send data', this._debugId);
-    this._queue.push((err) => {
+    const size = body.values.reduce((sum, value) => sum + value.length, 0);
+    this._enqueue(size, (err) => {
       if (err) {
         debug('[%s] pending secure send data', this._debugId);
         if (callback)
@@ -403,19 +1990,441 @@ Stream.prototype.data = function data(body, callback) {
 
       this.data(body, callback);
     });
-    return;
+    return true;
+  }
+
+  const batches = this._splitValues(body.values);
+  const binding = this._dataBinding();
+
+  let onSent = null;
+  if (callback) {
+    let waiting = batches.length;
+    onSent = (err) => {
+      if (waiting === 0)
+        return;
+      if (err) {
+        waiting = 0;
+        return callback(err);
+      }
+      if (--waiting === 0)
+        callback(null);
+    };
+  }
+
+  let more = true;
+  batches.forEach((values, index) => {
+    const batch = Object.assign({}, body, { values });
+
+    // Cursor points past the last batch
+    if (index !== batches.length - 1)
+      batch.next = null;
+    batch.binding = binding.id;
+    const hash = this._hashData(batch, binding.key);
+    const signature = signatures.sign(hash, this.privateKey);
+
+    // NOTE: This doesn't have to be `secureSend`, but leaving it just for
+    // consistency
+    const content = Object.assign(batch, { signature });
+    more = this._secureSend(messages.id.DATA, messages.Data, content, onSent);
+  });
+  return more;
+};
+
+// Binding of the sent `Data` signatures, `{ id, key }`
+Stream.prototype._dataBinding = function _dataBinding() {
+  const id = BINDINGS[this.dataBinding];
+  if (id === messages.binding.NONE ||
+      !this.hasExtension(messages.extensions.DATA_BINDING)) {
+    return { id: messages.binding.NONE, key: null };
   }
 
-  const hash = this._hashData(body);
-  const signature = signatures.sign(hash, this.privateKey);
+  // `signatures.keyPair()` secret key is the seed followed by the public key
+  const key = id === messages.binding.SESSION ? this._nonce.hash :
+    this.privateKey.slice(PRIVATE_KEY_SIZE - PUBLIC_KEY_SIZE);
+  return { id, key };
+};
 
-  // NOTE: This doesn't have to be `secureSend`, but leaving it just for
-  // consistency
-  this._secureSend(messages.id.DATA, messages.Data, Object.assign({}, body, {
-    signature
-  }), callback);
+// Split `values` into batches that fit into a single `Data` message
+Stream.prototype._splitValues = function _splitValues(values) {
+  const maxValues = Math.min(this.maxDataValues,
+                             this.remoteLimits.maxDataValues);
+  const maxSize = this.remoteLimits.maxMessageSize - DATA_OVERHEAD;
+
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+
+    // Tag, length, and the value itself
+    const valueSize = 1 + varint.encodingLength(value.length) + value.length;
+    if (batch.length !== 0 && (batch.length >= maxValues ||
+                               size + valueSize > maxSize)) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(value);
+    size += valueSize;
+  }
+  batches.push(batch);
+  return batches;
 };
 
 Stream.prototype.request = function request(body, callback) {
-  this._secureSend(messages.id.REQUEST, messages.Request, body, callback);
+  assert(body.limit !== 0, '`body.limit` must not be zero');
+  return this._secureSend(messages.id.REQUEST, messages.Request, body,
+                          callback);
+};
+
+Stream.prototype.done = function done(body, callback) {
+  return this._secureSend(messages.id.DONE, messages.Done, body, callback);
+};
+
+Stream.prototype.query = function query(range, options) {
+  return this._query(this.request, range, options);
+};
+
+Stream.prototype.syncQuery = function syncQuery(body, options) {
+  return this._query(this.sync, body, options);
+};
+
+// Same as `query()`, but resolves with `{ values, next }`, where `next` is the
+// `start` of the next page, or `null` if there are no more values
+Stream.prototype.page = function page(range, options) {
+  return this._query(this.request, range, options, (query) => {
+    let next = query.next;
+
+    // Without `cursor` extension a full page might be followed by more values.
+    // The smallest value that is greater than the last one is `last + 00`
+    if (next === null && !this.hasExtension(messages.extensions.CURSOR) &&
+        range.limit && query.values.length >= range.limit) {
+      const last = query.values.reduce((max, value) => {
+        return Buffer.compare(value, max) > 0 ? value : max;
+      });
+      next = Buffer.concat([ last, Buffer.alloc(1) ]);
+    }
+
+    return { values: query.values, next };
+  });
+};
+
+// Async iterator over the pages of values in the range, `range.limit` is the
+// page size
+Stream.prototype.iterate = function iterate(range, options) {
+  range = Object.assign({ limit: DEFAULT_PAGE_SIZE }, range);
+  assert(!range.start || Buffer.isBuffer(range.start),
+         '`range.start` must be a Buffer');
+  assert(!range.end || Buffer.isBuffer(range.end),
+         '`range.end` must be a Buffer');
+
+  let start = range.start || EMPTY;
+  let finished = false;
+
+  const next = () => {
+    if (finished)
+      return Promise.resolve({ done: true, value: undefined });
+
+    const body = Object.assign({}, range, { start });
+    return this.page(body, options).then((page) => {
+      if (page.next === null) {
+        finished = true;
+      } else if (Buffer.compare(page.next, start) <= 0) {
+        finished = true;
+        throw new errors.ProtocolError('ERR_PROTOCOL',
+                                       'Cursor doesn\'t advance');
+      } else {
+        start = page.next;
+        if (range.end && Buffer.compare(start, range.end) >= 0)
+          finished = true;
+      }
+
+      if (page.values.length === 0 && finished)
+        return { done: true, value: undefined };
+      return { done: false, value: page.values };
+    }, (err) => {
+      finished = true;
+      throw err;
+    });
+  };
+
+  const iterator = { next };
+  iterator[Symbol.asyncIterator] = () => iterator;
+  return iterator;
+};
+
+Stream.prototype.estimate = function estimate(body, callback) {
+  return this._secureSend(messages.id.ESTIMATE, messages.Estimate, body,
+                          callback);
+};
+
+Stream.prototype.table = function table(body, callback) {
+  return this._secureSend(messages.id.TABLE, messages.Table, body,
+                          callback);
+};
+
+Stream.prototype.want = function want(body, callback) {
+  return this._secureSend(messages.id.WANT, messages.Want, body, callback);
+};
+
+// Resolves with `cells` of the remote `Table`, empty if the remote peer
+// can't answer it
+Stream.prototype.estimateQuery = function estimateQuery(body, options) {
+  return this._query(this.estimate, body, options, query => query.cells);
+};
+
+// Resolves with the values of the keys when the remote peer sends `Done`
+Stream.prototype.wantQuery = function wantQuery(body, options) {
+  return this._query(this.want, body, options);
+};
+
+Stream.prototype.fingerprints = function fingerprints(body, callback) {
+  return this._secureSend(messages.id.FINGERPRINTS, messages.Fingerprints,
+                          body, callback);
+};
+
+// Reconcile the values of `store` with the remote peer, resolves with
+// `{ sent, received }` numbers of values. Fails if the remote peer doesn't
+// answer for `options.timeout` ms (`0` - never)
+Stream.prototype.reconcile = function reconcile(store, options) {
+  options = options || {};
+  const timeout = options.timeout === undefined ? DEFAULT_QUERY_TIMEOUT :
+    options.timeout;
+  const reconciler = new Reconciler(this, store, { timeout });
+
+  return new Promise((resolve, reject) => {
+    const start = (err) => {
+      if (err)
+        return reject(err);
+
+      if (!this.hasExtension(messages.extensions.FINGERPRINTS)) {
+        return reject(new errors.StateError('ERR_UNSUPPORTED',
+            'Remote peer doesn\'t support reconciliation'));
+      }
+
+      const id = this._nextQueryId();
+      this._reconciliations.set(id, reconciler);
+      reconciler.start(id, (err, stats) => {
+        if (err)
+          reject(err);
+        else
+          resolve(stats);
+      });
+    };
+
+    if (this.secure)
+      return start(null);
+
+    debug('[%s] pending secure reconcile', this._debugId);
+    this._enqueue(0, start);
+  });
+};
+
+Stream.prototype.subscribe = function subscribe(range) {
+  range = range || {};
+  assert(!range.start || Buffer.isBuffer(range.start),
+         '`range.start` must be a Buffer');
+  assert(!range.end || Buffer.isBuffer(range.end),
+         '`range.end` must be a Buffer');
+
+  const subscription = new Subscription(this, this._nextSubscriptionId(),
+                                        range);
+  this._subscriptions.set(subscription.id, subscription);
+  this._subscribe(subscription);
+  return subscription;
+};
+
+// Send values of the received `data` or `forwarded-data` message with the
+// signature and the Trust Chain of their author
+Stream.prototype.forward = function forward(message, callback) {
+  const body = message.body;
+  const signer = message.signer;
+  assert(body && Buffer.isBuffer(body.signature) && signer,
+         '`message` must be a received `data` or `forwarded-data`');
+  assert(body.binding !== messages.binding.SESSION,
+         'Data bound to the session can\'t be forwarded');
+
+  const content = {
+    values: body.values,
+    signature: body.signature,
+    chain: signer.chain.map(link => Buffer.concat([ link.tbs,
+                                                    link.signature ])),
+    binding: body.binding
+  };
+
+  if (!this.secure) {
+    debug('[%s] pending secure send forwarded data', this._debugId);
+    this._enqueue(messages.ForwardedData.encodingLength(content), (err) => {
+      if (err) {
+        if (callback)
+          callback(err);
+        return;
+      }
+
+      this.forward(message, callback);
+    });
+    return true;
+  }
+
+  let err = null;
+
+  // NOTE: The signed batch can't be split
+  const size = messages.ForwardedData.encodingLength(content);
+  if (!this.hasExtension(messages.extensions.FORWARD)) {
+    err = new errors.StateError('ERR_UNSUPPORTED',
+                                'Remote peer doesn\'t support forwarding');
+  } else if (content.values.length > this.remoteLimits.maxDataValues ||
+             size > this.remoteLimits.maxMessageSize) {
+    err = new errors.ProtocolError('ERR_MESSAGE_TOO_BIG',
+                                   'Forwarded Data exceeds remote limits');
+  }
+
+  if (err !== null) {
+    if (callback)
+      process.nextTick(callback, err);
+    return true;
+  }
+
+  return this._send(messages.id.FORWARDED_DATA, messages.ForwardedData,
+                    content, callback);
+};
+
+// Send new `values` to the remote subscriptions covering them
+Stream.prototype.publish = function publish(values, callback) {
+  const batches = [];
+  this.remoteSubscriptions.forEach((range, id) => {
+    const matching = values.filter((value) => {
+      if (range.start !== null && Buffer.compare(value, range.start) < 0)
+        return false;
+      return range.end === null || Buffer.compare(value, range.end) < 0;
+    });
+    if (matching.length !== 0)
+      batches.push({ values: matching, subscription: id });
+  });
+
+  if (batches.length === 0) {
+    if (callback)
+      process.nextTick(callback, null);
+    return true;
+  }
+
+  let onSent = null;
+  if (callback) {
+    let waiting = batches.length;
+    onSent = (err) => {
+      if (waiting === 0)
+        return;
+      if (err) {
+        waiting = 0;
+        return callback(err);
+      }
+      if (--waiting === 0)
+        callback(null);
+    };
+  }
+
+  let more = true;
+  batches.forEach((body) => {
+    more = this.data(body, onSent);
+  });
+  return more;
+};
+
+Stream.prototype.updateChain = function updateChain(chain, privateKey) {
+  privateKey = privateKey || this.privateKey;
+
+  assert(Array.isArray(chain), '`chain` must be an Array');
+  assert(chain.length <= constants.MAX_CHAIN_LENGTH,
+         `Maximum chain length size is ${constants.MAX_CHAIN_LENGTH}`);
+  assert(Buffer.isBuffer(privateKey), '`privateKey` must be a Buffer');
+  assert.equal(privateKey.length, PRIVATE_KEY_SIZE,
+               `\`privateKey\` must have size ${PRIVATE_KEY_SIZE}`);
+
+  const sign = signatures.sign(EMPTY_HASH, privateKey);
+  this._hyperchain.verify(chain, EMPTY_HASH, sign);
+
+  this.privateKey = privateKey;
+  this._setChain(chain);
+
+  if (this.chainStore !== null)
+    this.chainStore.set(this.feedKey, chain);
+};
+
+Stream.prototype.registerExtension = function registerExtension(name,
+                                                                  options) {
+  assert(this._nonce.hash === null,
+         'Extensions must be registered before the handshake');
+  assert(EXTENSIONS.indexOf(name) === -1 &&
+             RESPONDER_EXTENSIONS.indexOf(name) === -1 &&
+             !this._extensions.has(name),
+         `Extension "${name}" is already registered`);
+
+  const ext = new Extension(this, name, options);
+  this._extensions.set(name, ext);
+  return ext;
+};
+
+// `true` until the local `Handshake` (and its list of extensions) is sent
+Stream.prototype.canProvide = function canProvide() {
+  return this._nonce.hash === null;
+};
+
+// Advertise the built-in extension `name` that requires the application to
+// answer the remote requests (e.g. `query-id`: `Data` and `Done` are sent with
+// the `id` of `Request`). `Replicator` provides all of them
+Stream.prototype.provide = function provide(name) {
+  assert(this.canProvide(),
+         'Extensions must be provided before the handshake');
+  assert(RESPONDER_EXTENSIONS.indexOf(name) !== -1,
+         `Unknown extension "${name}"`);
+
+  this._provided.add(name);
+};
+
+Stream.prototype.hasExtension = function hasExtension(name) {
+  if (this._remote.extensions === null)
+    return false;
+  return this._remote.extensions.indexOf(name) !== -1;
+};
+
+// Replace the key used for the sent messages
+Stream.prototype.rekey = function rekey(callback) {
+  if (!this._rekey.enabled && !this._closed) {
+    if (callback) {
+      process.nextTick(callback,
+                       new errors.StateError('ERR_UNSUPPORTED',
+                           'Rekey is not supported'));
+    }
+    return true;
+  }
+
+  return this._sendRekey(callback);
+};
+
+Stream.prototype.ping = function ping(callback) {
+  if (!this.secure || !this.hasExtension(messages.extensions.PING)) {
+    if (callback) {
+      process.nextTick(callback,
+                       new errors.StateError('ERR_UNSUPPORTED',
+                           'Remote peer doesn\'t support Ping'));
+    }
+    return;
+  }
+
+  const keepalive = this._keepalive;
+  keepalive.seq = (keepalive.seq % MAX_PING_SEQ) + 1;
+
+  // Lost `Ping`s must not accumulate while the idle timer is disabled
+  const seq = keepalive.seq;
+  const timeout = keepalive.timeout === 0 ? DEFAULT_IDLE_TIMEOUT :
+    keepalive.timeout;
+  const timer = unref(setTimeout(() => {
+    keepalive.pending.delete(seq);
+    debug('[%s] ping timeout seq=%d', this._debugId, seq);
+    if (callback)
+      callback(new errors.TimeoutError('ERR_TIMEOUT', 'Ping timed out'));
+  }, timeout));
+  keepalive.pending.set(seq, { time: Date.now(), timer, callback });
+
+  this._secureSend(messages.id.PING, messages.Ping, { seq });
 };
@@ -0,0 +1,37 @@
+'use strict';
+
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+
+// Live subscription to the values of the remote peer, see
+// `stream.subscribe()`.
+//
+// Emits `values` for every `Data` pushed by the remote peer, and `close` once
+// the subscription has ended on either side. `close` carries the error if the
+// remote peer doesn't support or has rejected the subscription (`null` for
+// `unsubscribe()`), so that the failed subscription never brings the stream
+// down.
+function Subscription(stream, id, range) {
+  EventEmitter.call(this);
+
+  this.stream = stream;
+  this.id = id;
+  this.start = range.start || null;
+  this.end = range.end || null;
+
+  this.active = true;
+}
+util.inherits(Subscription, EventEmitter);
+module.exports = Subscription;
+
+Subscription.prototype._close = function _close(err) {
+  if (!this.active)
+    return;
+  this.active = false;
+
+  this.emit('close', err || null);
+};
+
+Subscription.prototype.unsubscribe = function unsubscribe(callback) {
+  return this.stream._unsubscribe(this, callback);
+};
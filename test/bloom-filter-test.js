@@ -0,0 +1,87 @@
+'use strict';
+
+const assert = require('assert');
+
+const protocol = require('../');
+const BloomFilter = protocol.BloomFilter;
+const murmur = require('../lib/protocol/murmur');
+
+describe('BloomFilter', () => {
+  it('should compute Murmur3_32', () => {
+    assert.equal(murmur(Buffer.from(''), 0), 0);
+    assert.equal(murmur(Buffer.from(''), 1), 0x514e28b7);
+    assert.equal(murmur(Buffer.from('abc'), 0), 0xb3dd93fa);
+    assert.equal(murmur(Buffer.from('aaaa'), 0x9747b28c), 0x5a97808a);
+    const fox = Buffer.from('The quick brown fox jumps over the lazy dog');
+    assert.equal(murmur(fox, 0), 0x2e4ff723);
+  });
+
+  it('should use spec bit layout', () => {
+    const f = new BloomFilter({ size: 64, n: 2, seed: 42 });
+    f.add(Buffer.from('value'));
+
+    const first = murmur(Buffer.from('value'), 42) % 64;
+    const second = murmur(Buffer.from('value'), (0xfa68676f + 42) >>> 0) % 64;
+
+    const expected = Buffer.alloc(8);
+    expected[first >>> 3] |= 1 << (first & 7);
+    expected[second >>> 3] |= 1 << (second & 7);
+    assert.deepEqual(f.filter, expected);
+  });
+
+  it('should add and test values', () => {
+    const f = new BloomFilter({ count: 1000, falsePositive: 0.01 });
+    for (let i = 0; i < 1000; i++)
+      f.add(Buffer.from('in-' + i));
+
+    for (let i = 0; i < 1000; i++)
+      assert(f.test(Buffer.from('in-' + i)));
+
+    let positive = 0;
+    for (let i = 0; i < 1000; i++)
+      if (f.test(Buffer.from('out-' + i)))
+        positive++;
+    assert(positive < 50, `Too many false positives: ${positive}`);
+  });
+
+  it('should require `n` or `count` with `size`', () => {
+    assert.throws(() => new BloomFilter({ size: 1000 }), /`options.n`/);
+
+    const f = new BloomFilter({ size: 1000, count: 100 });
+    assert.equal(f.n, 7);
+  });
+
+  it('should serialize to/from Sync', () => {
+    const f = new BloomFilter({ size: 1001, n: 3 });
+    assert.equal(f.filter.length, 126);
+    f.add(Buffer.from('a'));
+
+    const sync = f.toSync({ limit: 10 });
+    assert.equal(sync.limit, 10);
+    assert.equal(sync.size, 1001);
+
+    const g = BloomFilter.fromSync(protocol.messages.Sync.decode(
+      protocol.messages.Sync.encode(sync)));
+    assert.equal(g.seed, f.seed);
+    assert(g.test(Buffer.from('a')));
+  });
+
+  it('should reject invalid Sync parameters', () => {
+    assert.throws(() => {
+      BloomFilter.fromSync({
+        filter: Buffer.alloc(2),
+        size: 100,
+        n: 1,
+        seed: 0
+      });
+    });
+    assert.throws(() => {
+      BloomFilter.fromSync({
+        filter: Buffer.alloc(20),
+        size: 100,
+        n: 1,
+        seed: 0
+      });
+    });
+  });
+});
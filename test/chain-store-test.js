@@ -0,0 +1,205 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const signatures = require('sodium-signatures');
+const HyperBloomChain = require('hyperbloom-chain');
+
+const protocol = require('../');
+const ChainStore = protocol.ChainStore;
+const FileChainStore = protocol.FileChainStore;
+const Stream = protocol.Stream;
+
+describe('ChainStore', () => {
+  const root = signatures.keyPair();
+  const hyperchain = new HyperBloomChain({ root: root.publicKey });
+
+  // root -> first -> second -> third
+  const first = signatures.keyPair();
+  const second = signatures.keyPair();
+  const third = signatures.keyPair();
+
+  function link(publicKey, privateKey) {
+    return hyperchain.issueLink({ expiration: Infinity, publicKey },
+                                privateKey);
+  }
+
+  const long = [
+    link(first.publicKey, root.secretKey),
+    link(second.publicKey, first.secretKey),
+    link(third.publicKey, second.secretKey)
+  ];
+  const short = [ link(third.publicKey, root.secretKey) ];
+
+  it('should keep the shortest chain', () => {
+    const store = new ChainStore();
+    const updates = [];
+    store.on('update', ({ chain }) => updates.push(chain.length));
+
+    assert.strictEqual(store.get(root.publicKey), null);
+    assert(store.update(root.publicKey, long));
+    assert(store.update(root.publicKey, short));
+    assert(!store.update(root.publicKey, long));
+    assert.deepEqual(store.get(root.publicKey), short);
+
+    store.set(root.publicKey, long);
+    assert.deepEqual(store.get(root.publicKey), long);
+    assert.deepEqual(updates, [ 3, 1, 3 ]);
+
+    assert(store.delete(root.publicKey));
+    assert.strictEqual(store.get(root.publicKey), null);
+  });
+
+  it('should persist chains to the file', (cb) => {
+    const name = `chain-store-${crypto.randomBytes(8).toString('hex')}`;
+    const file = path.join(os.tmpdir(), name);
+
+    const store = new FileChainStore({ path: file });
+    store.update(root.publicKey, long);
+    store.update(root.publicKey, short);
+
+    store.flush((err) => {
+      assert(!err);
+
+      const loaded = new FileChainStore({ path: file });
+      assert.deepEqual(loaded.get(root.publicKey), short);
+      assert.deepEqual(fs.readdirSync(os.tmpdir()).filter((entry) => {
+        return entry.startsWith(name);
+      }), [ name ]);
+
+      fs.unlinkSync(file);
+      cb();
+    });
+  });
+
+  it('should not mix concurrent writes to the same file', (cb) => {
+    const name = `chain-store-${crypto.randomBytes(8).toString('hex')}`;
+    const file = path.join(os.tmpdir(), name);
+
+    const first = new FileChainStore({ path: file });
+    const second = new FileChainStore({ path: file });
+    first.set(root.publicKey, long);
+    second.set(root.publicKey, short);
+
+    let waiting = 2;
+    const done = (err) => {
+      assert(!err);
+      if (--waiting !== 0)
+        return;
+
+      // Either of the whole files
+      const loaded = new FileChainStore({ path: file });
+      const chain = loaded.get(root.publicKey);
+      assert(chain.length === long.length || chain.length === short.length);
+      assert.deepEqual(fs.readdirSync(os.tmpdir()).filter((entry) => {
+        return entry.startsWith(name);
+      }), [ name ]);
+
+      fs.unlinkSync(file);
+      cb();
+    };
+    first.flush(done);
+    second.flush(done);
+  });
+
+  it('should ignore corrupt file', (cb) => {
+    const name = `chain-store-${crypto.randomBytes(8).toString('hex')}`;
+    const file = path.join(os.tmpdir(), name);
+
+    [ '{"a', 'null', '{"00":["00"]}' ].forEach((content) => {
+      fs.writeFileSync(file, content);
+      const store = new FileChainStore({ path: file });
+      assert.deepEqual(store.toJSON(), {});
+    });
+
+    const store = new FileChainStore({ path: file });
+    store.update(root.publicKey, short);
+    store.flush((err) => {
+      assert(!err);
+
+      const loaded = new FileChainStore({ path: file });
+      assert.deepEqual(loaded.get(root.publicKey), short);
+
+      fs.unlinkSync(file);
+      cb();
+    });
+  });
+
+  it('should pass write errors to flush callbacks', (cb) => {
+    const name = `chain-store-${crypto.randomBytes(8).toString('hex')}`;
+    const file = path.join(os.tmpdir(), name, 'missing', 'chains.json');
+
+    // No `error` listeners
+    const store = new FileChainStore({ path: file });
+    store.update(root.publicKey, short);
+    store.flush((err) => {
+      assert.equal(err.code, 'ENOENT');
+
+      // Reported until the next successful write
+      store.flush((err) => {
+        assert.equal(err.code, 'ENOENT');
+        next();
+      });
+    });
+
+    function next() {
+      const errors = [];
+      store.on('error', err => errors.push(err.code));
+      store.delete(root.publicKey);
+      store.flush((err) => {
+        assert.equal(err.code, 'ENOENT');
+        assert.deepEqual(errors, [ 'ENOENT' ]);
+        cb();
+      });
+    }
+  });
+
+  it('should share shorter chain between streams', (cb) => {
+    const store = new ChainStore();
+
+    // `a` receives the link from `b`, `other` is connected to nobody
+    const a = new Stream();
+    const b = new Stream();
+    const other = new Stream();
+
+    other.on('chain-update', (chain) => {
+      assert.equal(chain.length, 2);
+      assert.deepEqual(other.chain, chain);
+      assert.deepEqual(store.get(root.publicKey), chain);
+
+      // New streams start with the stored chain
+      const next = new Stream();
+      next.start({
+        feedKey: root.publicKey,
+        privateKey: third.secretKey,
+        chain: long,
+        chainStore: store
+      });
+      assert.equal(next.chain.length, 2);
+
+      [ a, b, other, next ].forEach(stream => stream.destroy());
+      assert.equal(store.listenerCount('update'), 0);
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    [ a, other ].forEach((stream) => {
+      stream.start({
+        feedKey: root.publicKey,
+        privateKey: third.secretKey,
+        chain: long,
+        chainStore: store
+      });
+    });
+    b.start({
+      feedKey: root.publicKey,
+      privateKey: first.secretKey,
+      chain: long.slice(0, 1)
+    });
+  });
+});
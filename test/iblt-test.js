@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('assert');
+
+const protocol = require('../');
+const IBLT = protocol.IBLT;
+const StrataEstimator = protocol.StrataEstimator;
+
+function fill(table, from, to, skip) {
+  for (let i = from; i < to; i++)
+    if (i % skip !== 0)
+      table.add(Buffer.from('value-' + i));
+  return table;
+}
+
+describe('IBLT', () => {
+  it('should decode symmetric difference', () => {
+    const size = IBLT.sizeFor(20);
+    const a = fill(new IBLT({ size, seed: 42 }), 0, 1000, 100);
+    const b = fill(new IBLT({ size, seed: 42 }), 5, 1010, 1000);
+
+    const diff = a.subtract(b).decode();
+    assert(diff !== null);
+
+    const keys = list => list.map(key => key.toString('hex')).sort();
+    const expected = (values) => {
+      return keys(values.map(v => IBLT.key(Buffer.from('value-' + v), 42)));
+    };
+
+    assert.deepEqual(keys(diff.local), expected([ 1, 2, 3, 4 ]));
+    assert.deepEqual(keys(diff.remote), expected([
+      100, 200, 300, 400, 500, 600, 700, 800, 900,
+      1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009
+    ]));
+  });
+
+  it('should fail to decode too big difference', () => {
+    const a = fill(new IBLT({ size: 24, seed: 1 }), 0, 1000, 1000);
+    const b = new IBLT({ size: 24, seed: 1 });
+    assert.equal(a.subtract(b).decode(), null);
+  });
+
+  it('should fail to decode hostile table', () => {
+    const table = new IBLT({ size: 6, seed: 3 });
+    const key = IBLT.key(Buffer.from('value'), 3);
+    table.addKey(key);
+
+    // Without the first cell, peeling `key` from the other ones brings it back
+    // to them with the opposite sign
+    const off = table._index(key, 0) * IBLT.CELL_SIZE;
+    table.cells.fill(0, off, off + IBLT.CELL_SIZE);
+
+    assert.strictEqual(table.decode(), null);
+  });
+
+  it('should serialize cells', () => {
+    const a = fill(new IBLT({ size: 30, seed: 7 }), 0, 5, 1000);
+    assert(IBLT.isValidSize(a.cells));
+
+    const body = protocol.messages.Table.decode(
+      protocol.messages.Table.encode({ id: 1, cells: a.cells }));
+    const b = IBLT.fromCells(body.cells, 7);
+    const diff = b.subtract(new IBLT({ size: 30, seed: 7 })).decode();
+    assert.equal(diff.local.length, 4);
+    assert.equal(diff.remote.length, 0);
+  });
+});
+
+describe('StrataEstimator', () => {
+  it('should estimate the difference', () => {
+    const a = fill(new StrataEstimator({ seed: 3 }), 0, 20000, 50);
+    const b = fill(new StrataEstimator({ seed: 3 }), 0, 20000, 40);
+
+    // 400 + 500 - 100 common multiples of 200
+    const estimate = a.estimate(new StrataEstimator({
+      seed: 3,
+      strata: b.toStrata()
+    }));
+    assert(estimate >= 300 && estimate <= 2400, `Bad estimate: ${estimate}`);
+  });
+});
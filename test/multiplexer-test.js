@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('assert');
+const signatures = require('sodium-signatures');
+
+const protocol = require('../');
+const Multiplexer = protocol.Multiplexer;
+
+describe('Multiplexer', () => {
+  const feeds = [ 0, 1, 2 ].map(() => signatures.keyPair());
+
+  function start(i) {
+    return {
+      feedKey: feeds[i].publicKey,
+      privateKey: feeds[i].secretKey,
+      chain: []
+    };
+  }
+
+  function pair() {
+    const a = new Multiplexer();
+    const b = new Multiplexer();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    return { a, b };
+  }
+
+  it('should open channels for shared feeds', (cb) => {
+    const m = pair();
+
+    const a0 = m.a.open(start(0));
+    const a1 = m.a.open(start(1));
+    const b1 = m.b.open(start(1));
+    const b0 = m.b.open(start(0));
+
+    let waiting = 2;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
+
+    b0.on('message', (msg) => {
+      assert.equal(msg.type, 'request');
+      assert.equal(msg.body.start.toString(), 'zero');
+      done();
+    });
+    b1.on('message', (msg) => {
+      assert.equal(msg.type, 'request');
+      assert.equal(msg.body.start.toString(), 'one');
+      done();
+    });
+
+    a0.request({ start: Buffer.from('zero') });
+    a1.request({ start: Buffer.from('one') });
+  });
+
+  it('should split big messages into frames', (cb) => {
+    const m = pair();
+
+    const options = { maxMessageSize: 1024 * 1024 };
+    const a0 = m.a.open(start(0), options);
+    const b0 = m.b.open(start(0), options);
+
+    // Single `Data` of 768 KiB
+    const values = [];
+    for (let i = 0; i < 12; i++)
+      values.push(Buffer.alloc(64 * 1024, i));
+
+    b0.on('message', (msg) => {
+      assert.equal(msg.type, 'data');
+      assert.deepEqual(msg.body.values, values);
+      cb();
+    });
+
+    a0.data({ values });
+  });
+
+  it('should not start channels for unknown feeds', (cb) => {
+    const m = pair();
+
+    const a0 = m.a.open(start(0));
+    const a2 = m.a.open(start(2));
+    const b0 = m.b.open(start(0));
+
+    let channels = 0;
+    m.b.on('channel', () => channels++);
+
+    a2.on('secure', () => assert(false));
+    b0.on('secure', () => {
+      setTimeout(() => {
+        assert.equal(channels, 1);
+        assert.equal(a2.feed, null);
+        assert(a0.secure);
+        cb();
+      }, 50);
+    });
+  });
+
+  it('should open and close channels dynamically', (cb) => {
+    const m = pair();
+
+    const a0 = m.a.open(start(0));
+
+    m.b.once('channel', (b0) => {
+      b0.once('close', () => {
+        // Reopen
+        m.b.once('channel', (b0) => {
+          b0.once('secure', () => cb());
+        });
+        m.a.open(start(0));
+        m.b.open(start(0));
+      });
+
+      b0.once('secure', () => {
+        m.a.close(a0);
+      });
+    });
+
+    setTimeout(() => {
+      m.b.open(start(0));
+    }, 20);
+  });
+
+  it('should drop the oldest unmatched announcements', (cb) => {
+    const a = new Multiplexer();
+    const b = new Multiplexer({ maxAnnounces: 2 });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.open(start(0));
+    a.open(start(1));
+    a.open(start(2));
+
+    b.on('channel', (stream) => {
+      assert.deepEqual(stream.feedKey, feeds[2].publicKey);
+      cb();
+    });
+
+    setTimeout(() => {
+      // Announcement of the first feed is dropped
+      const b0 = b.open(start(0));
+      b0.on('secure', () => assert(false));
+      b.open(start(2));
+    }, 20);
+  });
+
+  it('should reject invalid magic', (cb) => {
+    const a = new Multiplexer();
+    const s = new protocol.Stream();
+
+    a.on('error', (err) => {
+      assert(/MAGIC/.test(err.message));
+      cb();
+    });
+
+    s.pipe(a);
+    s.start(start(0));
+  });
+});
@@ -0,0 +1,546 @@
+'use strict';
+
+const assert = require('assert');
+const signatures = require('sodium-signatures');
+
+const protocol = require('../');
+const Stream = protocol.Stream;
+const MemoryStore = protocol.MemoryStore;
+const Replicator = protocol.Replicator;
+
+function values(list) {
+  return list.map(value => Buffer.from(value, 'hex'));
+}
+
+function hex(store) {
+  return store.values.map(value => value.toString('hex'));
+}
+
+// Emulate peer that doesn't advertise `cursor` extension
+function withoutCursor(stream) {
+  const local = stream._localExtensions;
+  stream._localExtensions = function _localExtensions() {
+    return local.call(this).filter(name => name !== 'cursor');
+  };
+}
+
+describe('MemoryStore', () => {
+  it('should keep values sorted and unique', () => {
+    const store = new MemoryStore(values([ 'a1', 'a000', 'a0', 'a001', 'a0' ]));
+    assert.deepEqual(hex(store), [ 'a0', 'a000', 'a001', 'a1' ]);
+  });
+
+  it('should return ranges', () => {
+    const store = new MemoryStore(values([ 'a0', 'a000', 'a001', 'a1', 'b0' ]));
+
+    assert.deepEqual(store.rangeSync({
+      start: Buffer.from('a000', 'hex'),
+      end: Buffer.from('a1', 'hex')
+    }).map(v => v.toString('hex')), [ 'a000', 'a001' ]);
+
+    assert.deepEqual(store.rangeSync({
+      start: Buffer.from('a0', 'hex'),
+      limit: 2
+    }).map(v => v.toString('hex')), [ 'a0', 'a000' ]);
+  });
+});
+
+describe('Replicator', () => {
+  const keyPair = signatures.keyPair();
+  const privateKey = keyPair.secretKey;
+  const publicKey = keyPair.publicKey;
+
+  function pair(setup) {
+    const a = new Stream();
+    const b = new Stream();
+    if (setup) {
+      setup(a);
+      setup(b);
+    }
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    return { a, b };
+  }
+
+  function bothSynced(a, b, cb) {
+    let waiting = 2;
+    function onSynced() {
+      if (--waiting === 0)
+        return cb();
+    }
+    a.once('synced', onSynced);
+    b.once('synced', onSynced);
+  }
+
+  it('should reconcile both stores', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 200; i++) {
+      const value = Buffer.from('value-' + i);
+      if (i % 3 !== 0)
+        storeA.insertSync([ value ]);
+      if (i % 3 !== 1)
+        storeB.insertSync([ value ]);
+    }
+
+    // Make false positives practically impossible
+    const options = { idleTimeout: 50, falsePositive: 1e-9 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    let progress = 0;
+    a.on('progress', () => progress++);
+
+    bothSynced(a, b, () => {
+      assert.equal(storeA.values.length, 200);
+      assert.deepEqual(hex(storeA), hex(storeB));
+      assert(progress > 0);
+      assert(a.received > 0);
+      assert.equal(a.received, b.sent);
+      cb();
+    });
+  });
+
+  it('should replicate over already secure streams', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore(values([ 'a0', 'a1' ]));
+    const storeB = new MemoryStore(values([ 'a1', 'a2' ]));
+
+    let waiting = 2;
+    function onSecure() {
+      if (--waiting !== 0)
+        return;
+
+      assert(!streams.a.canProvide());
+      const options = { idleTimeout: 50 };
+      const a = new Replicator(streams.a, storeA, options);
+      const b = new Replicator(streams.b, storeB, options);
+
+      // Nothing was advertised during the handshake
+      assert(!streams.a.hasExtension(protocol.messages.extensions.QUERY_ID));
+      bothSynced(a, b, () => {
+        assert.deepEqual(hex(storeA), [ 'a0', 'a1', 'a2' ]);
+        assert.deepEqual(hex(storeB), hex(storeA));
+        cb();
+      });
+    }
+    streams.a.once('secure', onSecure);
+    streams.b.once('secure', onSecure);
+  });
+
+  it('should repeat sync to recover false positives', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 600; i++) {
+      const value = Buffer.from('value-' + i);
+      if (i % 3 !== 0)
+        storeA.insertSync([ value ]);
+      if (i % 3 !== 1)
+        storeB.insertSync([ value ]);
+    }
+
+    let syncs = 0;
+    streams.b.on('message', (msg) => {
+      if (msg.type === 'sync')
+        syncs++;
+    });
+
+    // Several values are expected to be false positives in the first round
+    const options = { iblt: false, falsePositive: 0.01 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    bothSynced(a, b, () => {
+      assert(syncs >= 2);
+      assert.equal(storeA.values.length, 600);
+      assert.deepEqual(hex(storeA), hex(storeB));
+      cb();
+    });
+  });
+
+  it('should answer range requests', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore(values([
+      'a0', 'a000', 'a001', 'a1', 'b0'
+    ]));
+
+    const a = new Replicator(streams.a, storeA, { sync: false });
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    a.on('values', (values) => {
+      assert.deepEqual(values.map(v => v.toString('hex')),
+                       [ 'a000', 'a001' ]);
+      assert.deepEqual(hex(storeA), [ 'a000', 'a001' ]);
+      cb();
+    });
+
+    a.request({
+      start: Buffer.from('a000', 'hex'),
+      end: Buffer.from('b0', 'hex'),
+      limit: 2
+    });
+  });
+
+  it('should honour sync limit and range', (cb) => {
+    const streams = pair();
+
+    const storeB = new MemoryStore(values([
+      'a0', 'a000', 'a001', 'a1', 'b0'
+    ]));
+
+    new Replicator(streams.b, storeB, { sync: false });
+
+    streams.a.on('message', (msg) => {
+      assert.equal(msg.type, 'data');
+      assert.deepEqual(msg.body.values.map(v => v.toString('hex')),
+                       [ 'a000', 'a001' ]);
+      cb();
+    });
+
+    const filter = new protocol.BloomFilter({ count: 1, falsePositive: 1e-9 });
+    filter.add(Buffer.from('a0', 'hex'));
+    streams.a.sync(filter.toSync({
+      limit: 2,
+      range: { start: Buffer.from('a0', 'hex'), end: Buffer.from('b0', 'hex') }
+    }));
+  });
+
+  it('should push new values to subscribers', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+
+    const a = new Replicator(streams.a, storeA, { sync: false });
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    const subA = streams.a.subscribe();
+    const subB = streams.b.subscribe({ start: Buffer.from('b0', 'hex') });
+
+    let waiting = 2;
+    function onSubscribe(msg) {
+      if (msg.type !== 'subscribe' || --waiting !== 0)
+        return;
+
+      storeA.insertSync(values([ 'a1', 'b1' ]));
+    }
+    streams.a.on('message', onSubscribe);
+    streams.b.on('message', onSubscribe);
+
+    subB.on('values', (values) => {
+      assert.deepEqual(values.map(v => v.toString('hex')), [ 'b1' ]);
+    });
+
+    b.on('values', () => {
+      assert.deepEqual(hex(storeB), [ 'b1' ]);
+
+      // `b1` is not sent back
+      storeB.insertSync(values([ 'c1' ]));
+    });
+
+    subA.on('values', (values) => {
+      assert.deepEqual(values.map(v => v.toString('hex')), [ 'c1' ]);
+
+      streams.b.on('message', (msg) => {
+        if (msg.type !== 'unsubscribe')
+          return;
+        assert.equal(streams.b.remoteSubscriptions.size, 0);
+        assert(!subA.active);
+        cb();
+      });
+      subA.unsubscribe();
+    });
+  });
+
+  function collect(iterator, pages, cb) {
+    iterator.next().then((res) => {
+      if (res.done)
+        return cb(null, pages);
+      pages.push(res.value.map(v => v.toString('hex')));
+      collect(iterator, pages, cb);
+    }, cb);
+  }
+
+  it('should iterate range page by page', (cb) => {
+    const streams = pair();
+
+    const store = new MemoryStore(values([
+      'a0', 'a000', 'a001', 'a1', 'b0'
+    ]));
+    const r = new Replicator(streams.b, store, { sync: false });
+
+    const iterator = streams.a.iterate({ limit: 2 });
+    collect(iterator, [], (err, pages) => {
+      assert(!err);
+      assert.deepEqual(pages, [
+        [ 'a0', 'a000' ], [ 'a001', 'a1' ], [ 'b0' ]
+      ]);
+
+      streams.a.page({
+        start: Buffer.from('a0', 'hex'),
+        end: Buffer.from('a1', 'hex'),
+        limit: 3
+      }).then((page) => {
+        assert.equal(page.values.length, 3);
+        assert.equal(page.next, null);
+        r.destroy();
+        cb();
+      }, cb);
+    });
+  });
+
+  it('should iterate range without cursor support', (cb) => {
+    const streams = pair(withoutCursor);
+
+    const store = new MemoryStore(values([
+      'a0', 'a000', 'a001', 'a1', 'b0'
+    ]));
+    const r = new Replicator(streams.b, store, { sync: false });
+
+    const iterator = streams.a.iterate({
+      start: Buffer.from('a0', 'hex'),
+      end: Buffer.from('b0', 'hex'),
+      limit: 2
+    });
+    collect(iterator, [], (err, pages) => {
+      assert(!err);
+      assert(!streams.a.hasExtension('cursor'));
+
+      // `a000` follows `a0`, the last page is empty
+      assert.deepEqual(pages, [ [ 'a0', 'a000' ], [ 'a001', 'a1' ] ]);
+      r.destroy();
+      cb();
+    });
+  });
+
+  it('should reconcile with Bloom Filter', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore(values([ 'a0', 'a1', 'a2' ]));
+    const storeB = new MemoryStore(values([ 'a1', 'a2', 'a3' ]));
+
+    let syncs = 0;
+    streams.b.on('message', (msg) => {
+      if (msg.type === 'sync')
+        syncs++;
+      assert.notEqual(msg.type, 'estimate');
+    });
+
+    const options = { idleTimeout: 50, iblt: false };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    bothSynced(a, b, () => {
+      // No value is expected to be lost to the false positives
+      assert.equal(syncs, 1);
+      assert.deepEqual(hex(storeA), [ 'a0', 'a1', 'a2', 'a3' ]);
+      assert.deepEqual(hex(storeB), hex(storeA));
+      cb();
+    });
+  });
+
+  it('should fall back to Sync on big difference', (cb) => {
+    const streams = {
+      a: new Stream({ maxMessageSize: 16 * 1024, maxValueSize: 1024 }),
+      b: new Stream()
+    };
+    streams.a.pipe(streams.b);
+    streams.b.pipe(streams.a);
+    streams.a.start({ feedKey: publicKey, privateKey, chain: [] });
+    streams.b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 2000; i++)
+      storeB.insertSync([ Buffer.from('value-' + i) ]);
+
+    let fallback = false;
+    streams.a.on('message', (msg) => {
+      if (msg.type === 'table' && msg.body.cells.length === 0)
+        fallback = true;
+    });
+
+    const options = { idleTimeout: 50, falsePositive: 1e-9 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    bothSynced(a, b, () => {
+      assert(fallback);
+      assert.equal(storeA.values.length, 2000);
+      cb();
+    });
+  });
+
+  it('should continue Sync answer cut by the limit', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 50; i++)
+      storeB.insertSync([ Buffer.from('value-' + i) ]);
+
+    const limits = [];
+    streams.b.on('message', (msg) => {
+      if (msg.type === 'sync')
+        limits.push(msg.body.limit);
+    });
+
+    const options = { iblt: false, syncLimit: 20, falsePositive: 1e-9 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    bothSynced(a, b, () => {
+      // 20 + 20 + 10 values
+      assert.deepEqual(limits, [ 20, 20, 20 ]);
+      assert.deepEqual(hex(storeA), hex(storeB));
+      cb();
+    });
+  });
+
+  it('should time out unanswered Sync', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore(values([ 'a0' ]));
+    const storeB = new MemoryStore(values([ 'a1' ]));
+
+    const options = { iblt: false, queryTimeout: 50 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    // `b` never answers `Sync` of `a`
+    b._onSync = () => {};
+
+    a.on('synced', () => assert(false));
+    a.on('error', (err) => {
+      assert.equal(err.code, 'ERR_TIMEOUT');
+      a.destroy();
+      b.destroy();
+      cb();
+    });
+  });
+
+  it('should fall back to Sync if Estimate is not answered', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore(values([ 'a0', 'a1' ]));
+    const storeB = new MemoryStore(values([ 'a1', 'a2' ]));
+
+    const options = { idleTimeout: 50, queryTimeout: 50 };
+    const a = new Replicator(streams.a, storeA, options);
+    const b = new Replicator(streams.b, storeB, options);
+
+    // `b` ignores `Estimate` of `a`
+    b._onEstimate = () => {};
+    a._onEstimate = () => {};
+
+    bothSynced(a, b, () => {
+      assert.deepEqual(hex(storeA), [ 'a0', 'a1', 'a2' ]);
+      assert.deepEqual(hex(storeB), hex(storeA));
+      cb();
+    });
+  });
+
+  it('should reconcile ranges of big sets', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 5000; i++) {
+      const value = Buffer.from('value-' + i);
+      if (i % 1000 !== 1)
+        storeA.insertSync([ value ]);
+      if (i % 700 !== 2)
+        storeB.insertSync([ value ]);
+    }
+
+    let rounds = 0;
+    streams.a.on('message', (msg) => {
+      if (msg.type === 'fingerprints')
+        rounds++;
+    });
+
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    streams.a.reconcile(storeA).then((stats) => {
+      assert.equal(stats.received, 5);
+      assert.equal(stats.sent > 0, true);
+      assert(rounds > 1);
+      assert.equal(storeA.values.length, 5000);
+
+      // Values pushed by `a` are processed before `Pong`
+      streams.a.ping((err) => {
+        assert(!err);
+        assert.deepEqual(hex(storeB), hex(storeA));
+        b.destroy();
+        cb();
+      });
+    }).catch(cb);
+  });
+
+  it('should pull skewed leaf ranges by pages', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore();
+    const storeB = new MemoryStore();
+    for (let i = 0; i < 10000; i++) {
+      const value = Buffer.from('value-' + i);
+      if (i % 4000 === 0)
+        storeA.insertSync([ value ]);
+      storeB.insertSync([ value ]);
+    }
+    storeA.insertSync([ Buffer.from('value-a') ]);
+
+    const requests = [];
+    streams.b.on('message', (msg) => {
+      if (msg.type === 'request')
+        requests.push(msg.body);
+    });
+
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    streams.a.reconcile(storeA).then((stats) => {
+      assert.equal(stats.received, 9997);
+      assert.equal(stats.sent, 1);
+
+      // 16 leaf ranges of 625 remote values, 2 pages each
+      assert(requests.every(body => body.limit === 512));
+      assert.equal(requests.length, 32);
+
+      streams.a.ping((err) => {
+        assert(!err);
+        assert.deepEqual(hex(storeB), hex(storeA));
+        b.destroy();
+        cb();
+      });
+    }).catch(cb);
+  });
+
+  it('should reconcile empty and equal sets', (cb) => {
+    const streams = pair();
+
+    const storeA = new MemoryStore(values([ 'a0', 'a1' ]));
+    const storeB = new MemoryStore(values([ 'a0', 'a1' ]));
+    const b = new Replicator(streams.b, storeB, { sync: false });
+
+    streams.a.reconcile(storeA).then((stats) => {
+      assert.deepEqual(stats, { sent: 0, received: 0 });
+      return streams.a.reconcile(new MemoryStore());
+    }).then((stats) => {
+      assert.deepEqual(stats, { sent: 0, received: 2 });
+      b.destroy();
+      cb();
+    }).catch(cb);
+  });
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+const assert = require('assert');
+const signatures = require('sodium-signatures');
+const HyperBloomChain = require('hyperbloom-chain');
+
+const protocol = require('../');
+const messages = protocol.messages;
+const RevocationSet = protocol.RevocationSet;
+const Stream = protocol.Stream;
+
+describe('RevocationSet', () => {
+  const root = signatures.keyPair();
+  const hyperchain = new HyperBloomChain({ root: root.publicKey });
+
+  // root -> first -> second
+  const first = signatures.keyPair();
+  const second = signatures.keyPair();
+  const links = [
+    hyperchain.issueLink({
+      expiration: Infinity,
+      publicKey: first.publicKey
+    }, root.secretKey),
+    hyperchain.issueLink({
+      expiration: Infinity,
+      publicKey: second.publicKey
+    }, first.secretKey)
+  ];
+  const parsed = links.map(link => hyperchain.parseLink(link));
+
+  function start(privateKey, chain, revocations) {
+    return { feedKey: root.publicKey, privateKey, chain, revocations };
+  }
+
+  it('should revoke keys signed by ancestors', () => {
+    const set = new RevocationSet({ feedKey: root.publicKey });
+    assert.equal(set.check(parsed), -1);
+
+    // Not an ancestor of `first`
+    set.revoke(first.publicKey, second.secretKey);
+    assert.equal(set.check(parsed), -1);
+
+    set.revoke(second.publicKey, first.secretKey);
+    assert.equal(set.check(parsed), 1);
+
+    set.revoke(first.publicKey, root.secretKey);
+    assert.equal(set.check(parsed), 0);
+
+    assert.equal(set.size, 3);
+    assert.equal(set.toArray().length, 3);
+  });
+
+  it('should not add invalid or duplicate revocations', () => {
+    const set = new RevocationSet({ feedKey: root.publicKey });
+    const revocation = set.revoke(first.publicKey, root.secretKey);
+    assert(!set.add(revocation));
+
+    const other = new RevocationSet({ feedKey: first.publicKey });
+    assert(!other.verify(revocation));
+    assert.throws(() => other.add(revocation), /Invalid revocation/);
+  });
+
+  it('should limit the number of revocations', () => {
+    const set = new RevocationSet({ feedKey: root.publicKey, maxSize: 1 });
+    const revocation = set.revoke(first.publicKey, root.secretKey);
+    assert(!set.add(revocation));
+
+    assert.throws(() => set.revoke(second.publicKey, root.secretKey),
+                  /is full/);
+    assert.equal(set.size, 1);
+  });
+
+  it('should accept only trusted revocations', (cb) => {
+    const stranger = signatures.keyPair();
+    const other = new RevocationSet({ feedKey: root.publicKey });
+    const untrusted = other.revoke(stranger.publicKey, stranger.secretKey);
+
+    const setA = new RevocationSet({ feedKey: root.publicKey });
+    const setB = new RevocationSet({ feedKey: root.publicKey, maxSize: 1 });
+
+    // Stored, but neither forwarded nor accepted
+    setA.add(untrusted);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    const reasons = [];
+    b.on('rejected', ({ type, reason }) => {
+      assert.equal(type, 'revocation');
+      reasons.push(reason);
+      if (reasons.length !== 2)
+        return;
+
+      assert.deepEqual(reasons, [ 'Untrusted signer', 'Too many revocations' ]);
+      assert.equal(setB.size, 1);
+      a.destroy();
+      b.destroy();
+      cb();
+    });
+
+    b.once('secure', () => {
+      setB.revoke(second.publicKey, first.secretKey);
+
+      a._secureSend(messages.id.REVOCATION, messages.Revocation, untrusted);
+      setA.revoke(stranger.publicKey, root.secretKey);
+    });
+
+    a.start(start(root.secretKey, [], setA));
+    b.start(start(first.secretKey, links.slice(0, 1), setB));
+  });
+
+  it('should reject revoked peer on handshake', (cb) => {
+    const set = new RevocationSet({ feedKey: root.publicKey });
+    set.revoke(first.publicKey, root.secretKey);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    a.on('secure', () => assert(false));
+    a.on('error', (err) => {
+      assert.equal(err.code, 'ERR_REVOKED');
+      b.destroy();
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start(start(root.secretKey, [], set));
+    b.start(start(first.secretKey, links.slice(0, 1)));
+  });
+
+  it('should propagate revocations and disconnect', (cb) => {
+    const setA = new RevocationSet({ feedKey: root.publicKey });
+    const setC = new RevocationSet({ feedKey: root.publicKey });
+
+    // a <-> b <-> c, where `c` uses revoked key
+    const a = new Stream();
+    const ba = new Stream();
+    const bc = new Stream();
+    const c = new Stream();
+
+    a.pipe(ba);
+    ba.pipe(a);
+    bc.pipe(c);
+    c.pipe(bc);
+
+    bc.on('error', (err) => {
+      assert.equal(err.code, 'ERR_REVOKED');
+    });
+    c.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_REVOKED');
+      assert.equal(setC.size, 1);
+      cb();
+    });
+
+    let waiting = 4;
+    [ a, ba, bc, c ].forEach((stream) => {
+      stream.once('secure', () => {
+        if (--waiting === 0)
+          setA.revoke(second.publicKey, first.secretKey);
+      });
+    });
+
+    a.start(start(root.secretKey, [], setA));
+    c.start(start(second.secretKey, links, setC));
+
+    // Both streams of `b` share the same set
+    const setB = new RevocationSet({ feedKey: root.publicKey });
+    ba.start(start(root.secretKey, [], setB));
+    bc.start(start(root.secretKey, [], setB));
+  });
+});
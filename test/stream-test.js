@@ -2,12 +2,15 @@
 
 const assert = require('assert');
 const crypto = require('crypto');
+const Transform = require('stream').Transform;
 const signatures = require('sodium-signatures');
 const HyperBloomChain = require('hyperbloom-chain');
 
 const protocol = require('../');
 const Stream = protocol.Stream;
 const Parser = protocol.Parser;
+const messages = protocol.messages;
+const BloomFilter = protocol.BloomFilter;
 
 function construct(chain, privateKey, expirations) {
   const links = [];
@@ -26,6 +29,17 @@ function construct(chain, privateKey, expirations) {
   return { privateKey, links };
 }
 
+// Emulate peer that doesn't advertise any extensions
+function legacy(stream) {
+  stream._handshake = function _handshake() {
+    this._send(messages.id.HANDSHAKE, messages.Handshake, {
+      id: this.id,
+      chain: this.chain,
+      signature: signatures.sign(this._nonce.hash, this.privateKey)
+    });
+  };
+}
+
 describe('Stream', () => {
   const keyPair = signatures.keyPair();
   const privateKey = keyPair.secretKey;
@@ -72,7 +86,8 @@ describe('Stream', () => {
           body: {
             start: Buffer.from('a'),
             end: null,
-            limit: 0
+            limit: 0,
+            id: 0
           }
         });
         done();
@@ -87,53 +102,128 @@ describe('Stream', () => {
     a.request({ start: Buffer.from('a') }, done);
   });
 
-  it('should send chain', (cb) => {
-    const chain = new HyperBloomChain({ root: publicKey });
-    const bPair = signatures.keyPair();
+  it('should send bloom filter', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
 
-    const links = [ chain.issueLink({
-      expiration: Infinity,
-      publicKey: bPair.publicKey
-    }, privateKey) ];
+    const filter = new BloomFilter({ count: 100 });
+    filter.add(Buffer.from('a'));
+
+    bothSecure(a, b, () => {
+      b.on('message', (msg) => {
+        assert.equal(msg.type, 'sync');
+
+        const remote = BloomFilter.fromSync(msg.body);
+        assert(remote.test(Buffer.from('a')));
+        assert.equal(msg.body.limit, 10);
+        cb();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.sync(filter.toSync({ limit: 10 }));
+  });
 
+  it('should reject invalid sync', (cb) => {
     const a = new Stream();
     const b = new Stream();
 
     bothSecure(a, b, () => {
-      cb();
+      b.on('message', () => assert(false));
+      b.on('rejected', (msg) => {
+        assert.equal(msg.type, 'sync');
+        assert.equal(msg.reason, 'Invalid filter size');
+        cb();
+      });
     });
 
     a.pipe(b);
     b.pipe(a);
 
     a.start({ feedKey: publicKey, privateKey, chain: [] });
-    b.start({
-      feedKey: publicKey,
-      privateKey: bPair.secretKey,
-      chain: links
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.sync({ filter: Buffer.alloc(1), size: 1024, n: 1, seed: 0 });
+  });
+
+  it('should reject zero limit', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    assert.throws(() => {
+      a.request({ start: Buffer.from('a'), limit: 0 });
+    });
+
+    bothSecure(a, b, () => {
+      b.on('message', () => assert(false));
+      b.on('rejected', (msg) => {
+        assert.equal(msg.type, 'request');
+        assert.equal(msg.reason, '`limit` must not be zero');
+        cb();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    // Bypass the send-side validation
+    a._secureSend(messages.id.REQUEST, messages.Request, {
+      start: Buffer.from('a'),
+      limit: 0
     });
   });
 
-  it('should construct shorter chain', (cb) => {
-    const chain = new HyperBloomChain({ root: publicKey });
+  it('should reply to oversized sync with filter options', (cb) => {
+    const a = new Stream();
+    const b = new Stream({ maxFilterSize: 1024, maxFilterHashes: 4 });
 
-    const now = Date.now() / 1000;
+    let waiting = 2;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
 
-    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
-    const chainA = construct(chain, shared.privateKey, [
-      now + 3000, now + 2000, now + 1000
-    ]);
-    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+    bothSecure(a, b, () => {
+      b.on('message', () => assert(false));
+      b.on('rejected', (msg) => {
+        assert.equal(msg.reason, 'Filter is too big');
+        done();
+      });
+      a.on('message', (msg) => {
+        assert.deepEqual(msg, {
+          type: 'filter-options',
+          body: { size: 1024, n: 4 }
+        });
+        done();
+      });
+    });
 
-    chainA.links = shared.links.concat(chainA.links);
-    chainB.links = shared.links.concat(chainB.links);
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    const filter = new BloomFilter({ size: 2048, n: 2 });
+    a.sync(filter.toSync());
+  });
 
+  it('should send filter options', (cb) => {
     const a = new Stream();
     const b = new Stream();
 
     bothSecure(a, b, () => {
-      a.on('chain-update', (chain) => {
-        assert.equal(chain.length, 4);
+      b.on('message', (msg) => {
+        assert.deepEqual(msg, {
+          type: 'filter-options',
+          body: { size: 4096, n: 3 }
+        });
         cb();
       });
     });
@@ -141,101 +231,155 @@ describe('Stream', () => {
     a.pipe(b);
     b.pipe(a);
 
-    a.start({
-      feedKey: publicKey,
-      privateKey: chainA.privateKey,
-      chain: chainA.links
-    });
-    b.start({
-      feedKey: publicKey,
-      privateKey: chainB.privateKey,
-      chain: chainB.links
-    });
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.filterOptions({ size: 4096, n: 3 });
   });
 
-  it('should not construct shorter chain if disabled', (cb) => {
-    const chain = new HyperBloomChain({ root: publicKey });
+  it('should not send filter options to legacy peer', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    legacy(b);
 
-    const now = Date.now() / 1000;
+    b.on('message', () => assert(false));
 
-    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
-    const chainA = construct(chain, shared.privateKey, [
-      now + 3000, now + 2000, now + 1000
-    ]);
-    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+    a.pipe(b);
+    b.pipe(a);
 
-    chainA.links = shared.links.concat(chainA.links);
-    chainB.links = shared.links.concat(chainB.links);
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.filterOptions({ size: 4096, n: 3 }, (err) => {
+      assert(err);
+      assert(/FilterOptions/.test(err.message));
+      setTimeout(cb, 50);
+    });
+  });
 
+  it('should decode filter options from legacy peer', (cb) => {
     const a = new Stream();
     const b = new Stream();
+    legacy(b);
 
     bothSecure(a, b, () => {
-      a.on('chain-update', (chain) => {
-        assert(false);
+      a.on('message', (msg) => {
+        assert.deepEqual(msg, {
+          type: 'filter-options',
+          body: { size: 4096, n: 3 }
+        });
+        cb();
       });
-      setTimeout(cb, 100);
     });
 
     a.pipe(b);
     b.pipe(a);
 
-    a.start({
-      feedKey: publicKey,
-      privateKey: chainA.privateKey,
-      chain: chainA.links
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    b._secureSend(messages.id.FILTER_OPTIONS, messages.LegacyFilterOptions, {
+      size: 4096,
+      n: 3
     });
-    b.start({
-      feedKey: publicKey,
-      privateKey: chainB.privateKey,
-      chain: chainB.links,
+  });
 
-      issueLinks: false
+  it('should use authenticated encryption', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      assert.equal(a.encryption, 'secretbox');
+      assert.equal(b.encryption, 'secretbox');
+
+      b.on('message', (msg) => {
+        assert.equal(msg.type, 'request');
+        cb();
+      });
     });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.request({ start: Buffer.from('a') });
   });
 
-  it('should support asynchronous start', (cb) => {
+  it('should fallback to legacy encryption', (cb) => {
     const a = new Stream();
-    a.start({ feedKey: publicKey, privateKey, chain: [] });
     const b = new Stream();
 
-    b.on('open', (open) => {
-      setTimeout(() => {
-        b.start({
-          feedKey: publicKey,
-          privateKey,
-          chain: []
-        });
+    // Emulate peer without `ephemeral` in `Open`
+    b._ephemeralKeyPair = () => null;
 
-        bothSecure(a, b, cb);
-      }, 100);
+    bothSecure(a, b, () => {
+      assert.equal(a.encryption, 'legacy');
+      assert.equal(b.encryption, 'legacy');
+
+      b.on('message', (msg) => {
+        assert.equal(msg.type, 'request');
+        cb();
+      });
     });
+
     a.pipe(b);
     b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [], allowLegacy: true });
+    b.start({ feedKey: publicKey, privateKey, chain: [], allowLegacy: true });
+    a.request({ start: Buffer.from('a') });
   });
 
-  it('should not construct shorter chain if disabled', (cb) => {
-    const chain = new HyperBloomChain({ root: publicKey });
+  it('should refuse legacy encryption by default', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
 
-    const now = Date.now() / 1000;
+    b._ephemeralKeyPair = () => null;
 
-    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
-    const chainA = construct(chain, shared.privateKey, [
-      now + 3000, now + 2000, now + 1000
-    ]);
-    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+    a.on('secure', () => assert(false));
+    a.on('error', (err) => {
+      assert.equal(err.code, 'ERR_UNSUPPORTED');
+      cb();
+    });
 
-    chainA.links = shared.links.concat(chainA.links);
-    chainB.links = shared.links.concat(chainB.links);
+    a.pipe(b);
+    b.pipe(a);
 
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [], allowLegacy: true });
+  });
+
+  it('should reject low order ephemeral key', (cb) => {
     const a = new Stream();
     const b = new Stream();
 
-    bothSecure(a, b, () => {
-      a.on('chain-update', (chain) => {
-        assert(false);
-      });
-      setTimeout(cb, 100);
+    a._ephemeralKeyPair = () => {
+      return { publicKey: Buffer.alloc(32), secretKey: Buffer.alloc(32, 1) };
+    };
+
+    b.on('secure', () => assert(false));
+    b.on('error', (err) => {
+      assert.equal(err.code, 'ERR_HANDSHAKE');
+      assert(/ephemeral/.test(err.message));
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should refuse legacy encryption if disabled', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    b._ephemeralKeyPair = () => null;
+
+    a.on('secure', () => assert(false));
+    a.on('error', (err) => {
+      assert(/authenticated encryption/.test(err.message));
+      assert.equal(err.code, 'ERR_UNSUPPORTED');
+      cb();
     });
 
     a.pipe(b);
@@ -243,46 +387,1504 @@ describe('Stream', () => {
 
     a.start({
       feedKey: publicKey,
-      privateKey: chainA.privateKey,
-      chain: chainA.links
+      privateKey,
+      chain: [],
+      allowLegacy: false
     });
-    b.start({
-      feedKey: publicKey,
-      privateKey: chainB.privateKey,
-      chain: chainB.links,
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
 
-      issueLinks: false
+  it('should detect tampering', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    let chunks = 0;
+    const tamper = new Transform({
+      transform(chunk, enc, callback) {
+        // Open, Handshake, Request
+        if (++chunks === 3) {
+          chunk = Buffer.from(chunk);
+          chunk[chunk.length - 1] ^= 1;
+        }
+        callback(null, chunk);
+      }
     });
-  });
 
-  it('should sign/verify data', (cb) => {
-    const chain = new HyperBloomChain({ root: publicKey });
+    b.on('message', () => assert(false));
+    b.on('error', (err) => {
+      assert.equal(err.message, 'Failed to authenticate message');
+      assert.equal(err.code, 'ERR_AUTHENTICATION');
+      cb();
+    });
 
-    const now = Date.now() / 1000;
+    a.pipe(tamper).pipe(b);
+    b.pipe(a);
 
-    const chainA = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.request({ start: Buffer.from('a') });
+  });
 
+  it('should send close reason on handshake failure', (cb) => {
     const a = new Stream();
     const b = new Stream();
 
-    bothSecure(a, b, () => {
-      const values = [ Buffer.alloc(4) ];
-      b.on('message', (msg) => {
-        assert.equal(msg.type, 'data');
-        assert.deepEqual(msg.body.values, values);
-        cb();
+    // `b` rejects the `Handshake` of `a` instead of getting `secure`
+    a._handshake = function _handshake() {
+      this._send(messages.id.HANDSHAKE, messages.Handshake, {
+        id: this.id,
+        chain: this.chain,
+        signature: Buffer.alloc(64)
       });
-      a.data({ values });
+    };
+
+    let waiting = 2;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
+
+    b.on('secure', () => assert(false));
+    b.on('error', (err) => {
+      assert.equal(err.name, 'HandshakeError');
+      assert.equal(err.code, 'ERR_HANDSHAKE');
+      done();
+    });
+
+    a.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_HANDSHAKE');
+      assert.equal(info.reason, protocol.errors.reasons.ERR_HANDSHAKE);
+      assert(info.message);
+      done();
     });
 
     a.pipe(b);
     b.pipe(a);
 
-    a.start({
-      feedKey: publicKey,
-      privateKey: chainA.privateKey,
-      chain: chainA.links
-    });
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should send close on graceful close', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    b.on('message', (msg) => {
+      assert.equal(msg.type, 'request');
+      a.close();
+    });
+
+    b.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_NORMAL');
+      assert.equal(info.message, '');
+    });
+    b.on('close', () => a.destroy());
+    a.on('close', cb);
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    a.request({ start: Buffer.from('a') });
+  });
+
+  it('should send reason of `destroy(err)` without emitting it', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    a.on('error', () => assert(false));
+    a.on('secure', () => {
+      a.destroy(new protocol.errors.StateError('ERR_UNSUPPORTED', 'Bye'));
+    });
+
+    b.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_UNSUPPORTED');
+      assert.equal(info.message, 'Bye');
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should query values', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    b.on('message', (msg) => {
+      if (msg.type !== 'request')
+        return;
+
+      assert.notEqual(msg.body.id, 0);
+      assert.equal(msg.body.limit, 2);
+      b.data({ values: [ Buffer.from('a') ], id: msg.body.id });
+      b.data({ values: [ Buffer.from('b') ], id: msg.body.id });
+      b.done({ id: msg.body.id });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.provide(messages.extensions.QUERY_ID);
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.query({ start: Buffer.from('a'), limit: 2 }).then((values) => {
+      assert.deepEqual(values, [ Buffer.from('a'), Buffer.from('b') ]);
+      cb();
+    }).catch(cb);
+  });
+
+  it('should finish rejected query', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.provide(messages.extensions.QUERY_ID);
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.syncQuery({ filter: Buffer.alloc(1), size: 1024, n: 1, seed: 0 })
+      .then((values) => {
+        assert.deepEqual(values, []);
+        cb();
+      }).catch(cb);
+  });
+
+  it('should timeout query', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.provide(messages.extensions.QUERY_ID);
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.query({ start: Buffer.from('a') }, { timeout: 50 }).then(() => {
+      assert(false);
+    }, (err) => {
+      assert.equal(err.message, 'Query timed out');
+      assert.equal(a._queries.size, 0);
+      cb();
+    });
+  });
+
+  it('should cancel query', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    const query = a.query({ start: Buffer.from('a') });
+    query.then(() => {
+      assert(false);
+    }, (err) => {
+      assert.equal(err.message, 'Query cancelled');
+      cb();
+    });
+    query.cancel();
+  });
+
+  it('should advertise `query-id` only when provided', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      assert(!a.hasExtension(messages.extensions.QUERY_ID));
+      assert(b.hasExtension(messages.extensions.QUERY_ID));
+      assert.throws(() => a.provide(messages.extensions.QUERY_ID));
+      assert.throws(() => b.registerExtension(messages.extensions.QUERY_ID));
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.provide(messages.extensions.QUERY_ID);
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not query legacy peer', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    legacy(b);
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.query({ start: Buffer.from('a') }).then(() => {
+      assert(false);
+    }, (err) => {
+      assert(/support queries/.test(err.message));
+      cb();
+    });
+  });
+
+  it('should apply backpressure', (cb) => {
+    const a = new Stream({ sendHighWaterMark: 1024 });
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    bothSecure(a, b, () => {
+      // Stop consuming the output
+      a.unpipe(b);
+
+      const values = [];
+      for (let i = 0; i < 40; i++)
+        values.push(Buffer.alloc(1024, i));
+
+      let sent = false;
+      let drained = false;
+      const more = a.data({ values }, (err) => {
+        assert(!err);
+        assert(drained);
+        sent = true;
+      });
+      assert.equal(more, false);
+
+      a.once('output-drain', () => {
+        drained = true;
+      });
+
+      // Nothing was written to `a`
+      a.on('drain', () => assert(false));
+
+      b.on('message', (msg) => {
+        assert.equal(msg.body.values.length, 40);
+        setImmediate(() => {
+          assert(sent);
+          cb();
+        });
+      });
+
+      setTimeout(() => {
+        assert(!sent);
+        a.pipe(b);
+      }, 50);
+    });
+  });
+
+  it('should measure rtt', (cb) => {
+    const a = new Stream({ pingInterval: 10 });
+    const b = new Stream();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.once('rtt', (rtt) => {
+      assert.equal(a.rtt, rtt);
+      assert(rtt >= 0);
+
+      a.ping((err, rtt) => {
+        assert(!err);
+        assert(rtt >= 0);
+        a.destroy();
+        b.destroy();
+        cb();
+      });
+    });
+  });
+
+  it('should expire unanswered ping', (cb) => {
+    // `b`'s pings keep `a` from being idle, but `a`'s pings are ignored
+    const a = new Stream({ pingInterval: 0, idleTimeout: 100 });
+    const b = new Stream({ pingInterval: 10 });
+    b._onPing = () => {};
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.once('secure', () => {
+      a.ping((err) => {
+        assert.equal(err.code, 'ERR_TIMEOUT');
+        assert.equal(a._keepalive.pending.size, 0);
+        assert(!a._destroyed);
+        a.destroy();
+        b.destroy();
+        cb();
+      });
+    });
+  });
+
+  it('should destroy idle stream', (cb) => {
+    const a = new Stream({ pingInterval: 0, idleTimeout: 50 });
+    const b = new Stream({ pingInterval: 0 });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.on('error', (err) => {
+      assert.equal(err.message, 'Idle timeout');
+      assert.equal(err.code, 'ERR_TIMEOUT');
+      b.destroy();
+      cb();
+    });
+  });
+
+  it('should not destroy idle legacy peer', (cb) => {
+    const a = new Stream({ idleTimeout: 50 });
+    const b = new Stream();
+    legacy(b);
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+
+    a.on('close', () => assert(false));
+    setTimeout(() => {
+      a.removeAllListeners('close');
+      cb();
+    }, 100);
+  });
+
+  it('should send chain', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const bPair = signatures.keyPair();
+
+    const links = [ chain.issueLink({
+      expiration: Infinity,
+      publicKey: bPair.publicKey
+    }, privateKey) ];
+
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({
+      feedKey: publicKey,
+      privateKey: bPair.secretKey,
+      chain: links
+    });
+  });
+
+  it('should authorize peer asynchronously', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    let authorized = false;
+    a.on('message', (msg) => {
+      assert(authorized);
+      assert.equal(msg.type, 'request');
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey,
+      chain: [],
+      authorize: (peer) => {
+        assert(peer.id.equals(b.id));
+        assert(peer.publicKey.equals(publicKey));
+        assert.deepEqual(peer.chain, []);
+
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            authorized = true;
+            resolve(true);
+          }, 10);
+        });
+      }
+    });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.request({ start: Buffer.from('a') });
+  });
+
+  it('should reject peer by policy', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const b = construct(chain, privateKey, [ Infinity ]);
+
+    const policy = protocol.policies.all([
+      protocol.policies.deny([ Buffer.alloc(32) ]),
+      protocol.policies.maxDepth(0)
+    ]);
+    assert(policy({ publicKey, chain: [] }));
+
+    const sa = new Stream();
+    const sb = new Stream();
+
+    let waiting = 2;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
+
+    sa.on('secure', () => assert(false));
+    sa.on('error', (err) => {
+      assert.equal(err.code, 'ERR_UNAUTHORIZED');
+      done();
+    });
+    sb.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_UNAUTHORIZED');
+      done();
+    });
+
+    sa.pipe(sb);
+    sb.pipe(sa);
+
+    sa.start({ feedKey: publicKey, privateKey, chain: [], authorize: policy });
+    sb.start({ feedKey: publicKey, privateKey: b.privateKey, chain: b.links });
+  });
+
+  it('should close when remote chain expires', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const b = construct(chain, privateKey, [ Date.now() / 1000 + 0.1 ]);
+
+    const sa = new Stream();
+    const sb = new Stream();
+
+    // Emulate peer that doesn't track its own chain
+    sb._scheduleExpiration = () => {};
+
+    let waiting = 3;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
+
+    sa.on('chain-expired', (info) => {
+      assert(!info.local);
+      done();
+    });
+    sa.on('error', (err) => {
+      assert.equal(err.code, 'ERR_EXPIRED');
+      done();
+    });
+    sb.on('remote-close', (info) => {
+      assert.equal(info.code, 'ERR_EXPIRED');
+      done();
+    });
+
+    sa.pipe(sb);
+    sb.pipe(sa);
+
+    sa.start({ feedKey: publicKey, privateKey, chain: [] });
+    sb.start({ feedKey: publicKey, privateKey: b.privateKey, chain: b.links });
+  });
+
+  it('should not get secure with expired chain', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const b = construct(chain, privateKey, [ Date.now() / 1000 + 0.05 ]);
+
+    const sa = new Stream();
+    const sb = new Stream();
+
+    // `sb` gets the `Handshake` after its chain expires
+    sa.on('error', () => {});
+
+    let secure = false;
+    sb.on('secure', () => {
+      secure = true;
+    });
+    sb.on('error', (err) => {
+      assert.equal(err.code, 'ERR_EXPIRED');
+      setImmediate(() => {
+        assert(!secure);
+        cb();
+      });
+    });
+
+    sa.pipe(sb);
+    sb.pipe(sa);
+
+    sb.start({ feedKey: publicKey, privateKey: b.privateKey, chain: b.links });
+    setTimeout(() => {
+      sa.start({ feedKey: publicKey, privateKey, chain: [] });
+    }, 100);
+  });
+
+  it('should update chain before expiration', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const b = construct(chain, privateKey, [ Date.now() / 1000 + 0.1 ]);
+    const fresh = construct(chain, privateKey, [ Infinity ]);
+
+    const sa = new Stream();
+    const sb = new Stream();
+
+    sa.on('close', () => assert(false));
+    sb.on('close', () => assert(false));
+
+    sb.once('secure', () => {
+      sb.updateChain(fresh.links, fresh.privateKey);
+    });
+
+    sa.on('remote-chain-update', (update) => {
+      assert.deepEqual(update, fresh.links);
+      const link = chain.parseLink(fresh.links[0]);
+      assert(sa._remote.publicKey.equals(link.publicKey));
+
+      setTimeout(() => {
+        sa.removeAllListeners('close');
+        sb.removeAllListeners('close');
+        sa.destroy();
+        sb.destroy();
+        cb();
+      }, 200);
+    });
+
+    sa.pipe(sb);
+    sb.pipe(sa);
+
+    sa.start({ feedKey: publicKey, privateKey, chain: [] });
+    sb.start({ feedKey: publicKey, privateKey: b.privateKey, chain: b.links });
+  });
+
+  it('should construct shorter chain', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+
+    const now = Date.now() / 1000;
+
+    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+    const chainA = construct(chain, shared.privateKey, [
+      now + 3000, now + 2000, now + 1000
+    ]);
+    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+
+    chainA.links = shared.links.concat(chainA.links);
+    chainB.links = shared.links.concat(chainB.links);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      a.on('chain-update', (chain) => {
+        assert.equal(chain.length, 4);
+        cb();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey: chainA.privateKey,
+      chain: chainA.links
+    });
+    b.start({
+      feedKey: publicKey,
+      privateKey: chainB.privateKey,
+      chain: chainB.links
+    });
+  });
+
+  it('should not construct shorter chain if disabled', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+
+    const now = Date.now() / 1000;
+
+    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+    const chainA = construct(chain, shared.privateKey, [
+      now + 3000, now + 2000, now + 1000
+    ]);
+    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+
+    chainA.links = shared.links.concat(chainA.links);
+    chainB.links = shared.links.concat(chainB.links);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      a.on('chain-update', (chain) => {
+        assert(false);
+      });
+      setTimeout(cb, 100);
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey: chainA.privateKey,
+      chain: chainA.links
+    });
+    b.start({
+      feedKey: publicKey,
+      privateKey: chainB.privateKey,
+      chain: chainB.links,
+
+      issueLinks: false
+    });
+  });
+
+  it('should support asynchronous start', (cb) => {
+    const a = new Stream();
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    const b = new Stream();
+
+    b.on('open', (open) => {
+      setTimeout(() => {
+        b.start({
+          feedKey: publicKey,
+          privateKey,
+          chain: []
+        });
+
+        bothSecure(a, b, cb);
+      }, 100);
+    });
+    a.pipe(b);
+    b.pipe(a);
+  });
+
+  it('should not construct shorter chain if disabled', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+
+    const now = Date.now() / 1000;
+
+    const shared = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+    const chainA = construct(chain, shared.privateKey, [
+      now + 3000, now + 2000, now + 1000
+    ]);
+    const chainB = construct(chain, shared.privateKey, [ now + 5000 ]);
+
+    chainA.links = shared.links.concat(chainA.links);
+    chainB.links = shared.links.concat(chainB.links);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      a.on('chain-update', (chain) => {
+        assert(false);
+      });
+      setTimeout(cb, 100);
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey: chainA.privateKey,
+      chain: chainA.links
+    });
+    b.start({
+      feedKey: publicKey,
+      privateKey: chainB.privateKey,
+      chain: chainB.links,
+
+      issueLinks: false
+    });
+  });
+
+  it('should sign/verify data', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+
+    const now = Date.now() / 1000;
+
+    const chainA = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+
+    const a = new Stream();
+    const b = new Stream();
+
+    bothSecure(a, b, () => {
+      const values = [ Buffer.alloc(4) ];
+      b.on('message', (msg) => {
+        assert.equal(msg.type, 'data');
+        assert.deepEqual(msg.body.values, values);
+        cb();
+      });
+      a.data({ values });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey: chainA.privateKey,
+      chain: chainA.links
+    });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should bind data signature to signer', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+
+    const now = Date.now() / 1000;
+
+    const chainA = construct(chain, privateKey, [ now + 5000 ]);
+
+    const a = new Stream({ dataBinding: 'signer' });
+    const b = new Stream({ requireDataBinding: true });
+
+    bothSecure(a, b, () => {
+      b.on('message', (msg) => {
+        assert.equal(msg.type, 'data');
+        assert.equal(msg.body.binding, messages.binding.SIGNER);
+        assert.deepEqual(msg.signer.publicKey,
+                         chainA.privateKey.slice(32));
+        assert.equal(msg.signer.chain.length, 1);
+        assert.deepEqual(msg.signer.chain[0].publicKey,
+                         msg.signer.publicKey);
+        cb();
+      });
+      a.data({ values: [ Buffer.from('a') ] });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({
+      feedKey: publicKey,
+      privateKey: chainA.privateKey,
+      chain: chainA.links
+    });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not accept data replayed from other session', (cb) => {
+    function pair(onSecure) {
+      const a = new Stream({ dataBinding: 'session' });
+      const b = new Stream();
+
+      bothSecure(a, b, () => onSecure(a, b));
+
+      a.pipe(b);
+      b.pipe(a);
+
+      a.start({ feedKey: publicKey, privateKey, chain: [] });
+      b.start({ feedKey: publicKey, privateKey, chain: [] });
+    }
+
+    pair((a, b) => {
+      b.on('message', (msg) => {
+        assert.equal(msg.body.binding, messages.binding.SESSION);
+
+        pair((a, b) => {
+          b.on('message', () => assert(false));
+          b.on('protocol-error', ({ type, error }) => {
+            assert.equal(type, 'data');
+            assert.equal(error.code, 'ERR_AUTHENTICATION');
+            cb();
+          });
+
+          a._send(messages.id.DATA, messages.Data, msg.body);
+        });
+      });
+      a.data({ values: [ Buffer.from('a') ] });
+    });
+  });
+
+  it('should require data binding', (cb) => {
+    const a = new Stream();
+    const b = new Stream({ requireDataBinding: true });
+
+    bothSecure(a, b, () => {
+      b.on('protocol-error', ({ error }) => {
+        assert.equal(error.code, 'ERR_AUTHENTICATION');
+        cb();
+      });
+      a.data({ values: [ Buffer.from('a') ] });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  describe('forwarding', () => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const now = Date.now() / 1000;
+    const chainA = construct(chain, privateKey, [ now + 5000, now + 4000 ]);
+
+    // `author` -> `hub` -> `receiver`
+    function relay(options, onData) {
+      const author = new Stream({ dataBinding: options.dataBinding });
+      const hubIn = new Stream();
+      const hubOut = new Stream();
+      const receiver = new Stream();
+
+      hubIn.on('message', (msg) => {
+        if (msg.type === 'data')
+          onData(msg, hubOut, receiver);
+      });
+      bothSecure(hubOut, receiver, () => {
+        author.data({ values: [ Buffer.from('a'), Buffer.from('b') ] });
+      });
+
+      author.pipe(hubIn);
+      hubIn.pipe(author);
+      hubOut.pipe(receiver);
+      receiver.pipe(hubOut);
+
+      author.start({
+        feedKey: publicKey,
+        privateKey: chainA.privateKey,
+        chain: chainA.links
+      });
+      [ hubIn, hubOut, receiver ].forEach((stream) => {
+        stream.start({
+          feedKey: publicKey,
+          privateKey,
+          chain: [],
+          issueLinks: false,
+          authorize: stream === receiver ? options.authorize : undefined
+        });
+      });
+    }
+
+    it('should forward data with author\'s chain', (cb) => {
+      relay({ dataBinding: 'signer' }, (msg, hub, receiver) => {
+        receiver.on('message', (msg) => {
+          assert.equal(msg.type, 'forwarded-data');
+          assert.deepEqual(msg.body.values.map(v => v.toString()),
+                           [ 'a', 'b' ]);
+          assert.deepEqual(msg.signer.publicKey,
+                           chainA.privateKey.slice(32));
+          assert.equal(msg.signer.chain.length, 2);
+          cb();
+        });
+        hub.forward(msg, (err) => {
+          assert(!err);
+        });
+      });
+    });
+
+    it('should reject tampered forwarded data', (cb) => {
+      relay({}, (msg, hub, receiver) => {
+        receiver.on('message', () => assert(false));
+        receiver.on('protocol-error', ({ type, error }) => {
+          assert.equal(type, 'forwarded-data');
+          assert.equal(error.code, 'ERR_AUTHENTICATION');
+          cb();
+        });
+
+        msg.body.values = [ Buffer.from('a') ];
+        hub.forward(msg);
+      });
+    });
+
+    it('should authorize the author of forwarded data', (cb) => {
+      const options = {
+        dataBinding: 'signer',
+        authorize: protocol.policies.maxDepth(1)
+      };
+      relay(options, (msg, hub, receiver) => {
+        receiver.on('message', () => assert(false));
+        receiver.on('rejected', ({ type, reason }) => {
+          assert.equal(type, 'forwarded-data');
+          assert(/not authorized/.test(reason));
+          cb();
+        });
+
+        hub.forward(msg);
+      });
+    });
+
+    it('should wait for asynchronous authorization of the author', (cb) => {
+      const options = {
+        dataBinding: 'signer',
+        authorize: () => {
+          return new Promise(resolve => setTimeout(resolve, 10, true));
+        }
+      };
+      relay(options, (msg, hub, receiver) => {
+        const types = [];
+        receiver.on('message', (msg) => {
+          types.push(msg.type);
+          if (types.length !== 2)
+            return;
+
+          // `Data` sent after `ForwardedData` is processed after it
+          assert.deepEqual(types, [ 'forwarded-data', 'data' ]);
+          cb();
+        });
+
+        hub.forward(msg);
+        hub.data({ values: [ Buffer.from('c') ] });
+      });
+    });
+
+    it('should not forward session-bound data', (cb) => {
+      relay({ dataBinding: 'session' }, (msg, hub) => {
+        assert.throws(() => hub.forward(msg), /can't be forwarded/);
+        cb();
+      });
+    });
+  });
+
+  it('should validate data before sending', () => {
+    const a = new Stream();
+
+    assert.throws(() => a.data({ values: [] }), /empty/);
+    assert.throws(() => a.data({ values: [ Buffer.alloc(0) ] }), /Empty/);
+    assert.throws(() => {
+      a.data({ values: [ Buffer.from('a'), Buffer.from('a') ] });
+    }, /Duplicate/);
+    assert.throws(() => {
+      a.data({ values: [ Buffer.alloc(a.maxValueSize + 1) ] });
+    }, /too big/);
+  });
+
+  it('should split data into batches', (cb) => {
+    const a = new Stream({ maxDataValues: 2, maxValueSize: 128 * 1024 });
+    const b = new Stream({ maxValueSize: 128 * 1024 });
+
+    const small = [ 1, 2, 3, 4, 5 ].map(i => Buffer.from([ i ]));
+    const big = [ 1, 2 ].map(i => Buffer.alloc(128 * 1024, i));
+
+    const received = [];
+    b.on('message', (msg) => {
+      assert.equal(msg.type, 'data');
+      assert(msg.body.values.length <= 2);
+      received.push(msg.body.values);
+    });
+
+    bothSecure(a, b, () => {
+      let waiting = 2;
+      const done = () => {
+        if (--waiting !== 0)
+          return;
+
+        assert.deepEqual(received.map(values => values.length),
+                         [ 2, 2, 1, 1, 1 ]);
+        assert.deepEqual([].concat.apply([], received), small.concat(big));
+        cb();
+      };
+
+      a.data({ values: small }, (err) => {
+        assert(!err);
+        done();
+      });
+      a.data({ values: big }, (err) => {
+        assert(!err);
+        done();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should emit protocol-error on invalid data', (cb) => {
+    const a = new Stream();
+    const b = new Stream({ closeOnProtocolError: true });
+
+    b.on('message', () => assert(false));
+    b.on('protocol-error', (info) => {
+      assert.equal(info.type, 'data');
+      assert.equal(info.error.message, 'Duplicate value in Data');
+    });
+    b.on('error', (err) => {
+      assert.equal(err.code, 'ERR_PROTOCOL');
+      cb();
+    });
+
+    bothSecure(a, b, () => {
+      // Bypass the validation in `data()`
+      const body = { values: [ Buffer.from('a'), Buffer.from('a') ] };
+      const signature = signatures.sign(a._hashData(body), privateKey);
+      a._secureSend(messages.id.DATA, messages.Data,
+                    Object.assign(body, { signature }));
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should advertise limits', (cb) => {
+    const a = new Stream({
+      maxMessageSize: 1024 * 1024,
+      maxDataValues: 10,
+      maxFilterSize: 4 * 1024 * 1024
+    });
+    const b = new Stream();
+
+    // ~400kb, doesn't fit into the default message size
+    const filter = new BloomFilter({ size: 3200 * 1024, n: 2 });
+
+    let received = 0;
+    a.on('message', (msg) => {
+      if (msg.type === 'data') {
+        assert(msg.body.values.length <= 10);
+        received += msg.body.values.length;
+        return;
+      }
+
+      assert.equal(msg.type, 'sync');
+      assert.equal(received, 25);
+      cb();
+    });
+
+    bothSecure(a, b, () => {
+      assert.equal(b.remoteLimits.maxMessageSize, 1024 * 1024);
+      assert.equal(b.remoteLimits.maxDataValues, 10);
+      assert.equal(b.remoteLimits.maxFilterSize, 4 * 1024 * 1024);
+
+      const values = [];
+      for (let i = 0; i < 25; i++)
+        values.push(Buffer.from([ i ]));
+      b.data({ values });
+      b.sync(filter.toSync());
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should reject too long chain', (cb) => {
+    const chain = new HyperBloomChain({ root: publicKey });
+    const b = construct(chain, privateKey, [ Infinity ]);
+
+    const sa = new Stream({ maxChainLength: 0 });
+    const sb = new Stream();
+
+    sa.on('secure', () => assert(false));
+    sa.on('error', (err) => {
+      assert.equal(err.code, 'ERR_HANDSHAKE');
+      assert(/too long/.test(err.message));
+      cb();
+    });
+
+    sa.pipe(sb);
+    sb.pipe(sa);
+
+    sa.start({ feedKey: publicKey, privateKey, chain: [] });
+    sb.start({ feedKey: publicKey, privateKey: b.privateKey, chain: b.links });
+  });
+
+  it('should timeout handshake', (cb) => {
+    const a = new Stream({ handshakeTimeout: 50 });
+    const b = new Stream();
+
+    // Never sends `Handshake`
+    b._handshake = () => {};
+
+    let timedOut = false;
+    a.on('handshake-timeout', () => {
+      timedOut = true;
+    });
+    a.on('error', (err) => {
+      assert(timedOut);
+      assert.equal(err.code, 'ERR_TIMEOUT');
+      b.destroy();
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should limit pending secure queue', (cb) => {
+    const a = new Stream({ maxQueue: 2, maxQueueSize: 3 });
+
+    const errors = [];
+    const onSent = (err) => {
+      errors.push(err.code);
+      if (errors.length !== 4)
+        return;
+
+      assert.deepEqual(errors, [
+        'ERR_QUEUE_FULL', 'ERR_QUEUE_FULL', 'ERR_DESTROYED', 'ERR_DESTROYED'
+      ]);
+      cb();
+    };
+
+    a.data({ values: [ Buffer.from('a') ] }, onSent);
+
+    // Size limit
+    a.data({ values: [ Buffer.from('abc') ] }, onSent);
+    a.data({ values: [ Buffer.from('b') ] }, onSent);
+
+    // Count limit
+    a.data({ values: [ Buffer.from('c') ] }, onSent);
+
+    process.nextTick(() => a.destroy());
+  });
+
+  it('should negotiate extensions', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    // Registration order doesn't affect message ids
+    const rawA = a.registerExtension('x-raw');
+    const seqA = a.registerExtension('x-seq', { encoding: messages.Ping });
+    const onlyA = a.registerExtension('x-only');
+    const seqB = b.registerExtension('x-seq', { encoding: messages.Ping });
+    const rawB = b.registerExtension('x-raw');
+
+    assert.throws(() => a.registerExtension('x-raw'), /already registered/);
+    assert.throws(() => a.registerExtension('ping'), /already registered/);
+
+    let waiting = 2;
+    function done() {
+      if (--waiting !== 0)
+        return;
+
+      assert.equal(rawA.id, rawB.id);
+      assert.equal(seqA.id, seqB.id);
+      assert(onlyA.id === null && !onlyA.enabled);
+      assert.deepEqual(a.extensions.slice(-2), [ 'x-raw', 'x-seq' ]);
+
+      onlyA.send(Buffer.from('no'), (err) => {
+        assert.equal(err.code, 'ERR_UNSUPPORTED');
+        cb();
+      });
+    }
+
+    rawB.on('message', (msg) => {
+      assert.equal(msg.toString(), 'hello');
+      done();
+    });
+    seqA.on('message', (msg) => {
+      assert.equal(msg.seq, 42);
+      done();
+    });
+
+    // Sent on `secure`
+    rawA.send(Buffer.from('hello'));
+    seqB.send({ seq: 42 });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should ignore extensions unknown to remote', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    const ext = a.registerExtension('x-raw');
+    b.on('protocol-error', () => assert(false));
+
+    bothSecure(a, b, () => {
+      assert(!ext.enabled);
+
+      // Emulate peer that sends unnegotiated extension message
+      a._send(messages.EXTENSION_ID_BASE, messages.Raw, Buffer.from('x'));
+      b.ping((err) => {
+        assert(!err);
+        cb();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not subscribe to legacy peer', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    legacy(b);
+
+    const subscription = a.subscribe();
+    subscription.on('close', (err) => {
+      assert.equal(err.code, 'ERR_UNSUPPORTED');
+      assert(!subscription.active);
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should limit remote subscriptions', (cb) => {
+    const a = new Stream();
+    const b = new Stream({ maxSubscriptions: 1 });
+
+    let waiting = 2;
+    const done = () => {
+      if (--waiting === 0)
+        return cb();
+    };
+
+    b.on('rejected', ({ type, reason }) => {
+      assert.equal(type, 'subscribe');
+      assert.equal(reason, 'Too many subscriptions');
+      assert.equal(b.remoteSubscriptions.size, 1);
+      done();
+    });
+
+    const first = a.subscribe();
+    const second = a.subscribe();
+
+    // `b` closes only the rejected subscription of `a`
+    first.on('close', () => assert(false));
+    second.on('close', (err) => {
+      assert.equal(err.code, 'ERR_REJECTED');
+      assert(first.active);
+      assert(!second.active);
+      done();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should keep the stream after rejected subscription', (cb) => {
+    const a = new Stream();
+    const b = new Stream({ maxSubscriptions: 1 });
+
+    a.on('error', () => assert(false));
+    b.on('rejected', () => {
+      // `Unsubscribe` is processed before `Pong`
+      a.ping((err) => {
+        assert(!err);
+        assert(first.active);
+        assert(!second.active);
+        assert(!a._destroyed);
+        cb();
+      });
+    });
+
+    // No listeners on the subscriptions
+    const first = a.subscribe();
+    const second = a.subscribe();
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not reconcile with legacy peer', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    legacy(b);
+
+    a.reconcile(new protocol.MemoryStore()).catch((err) => {
+      assert.equal(err.code, 'ERR_UNSUPPORTED');
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not reconcile with peer not answering `Fingerprints`', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    a.reconcile(new protocol.MemoryStore()).catch((err) => {
+      assert.equal(err.code, 'ERR_UNSUPPORTED');
+      assert(!a.hasExtension(messages.extensions.FINGERPRINTS));
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should time out unanswered reconciliation', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    b.provide(messages.extensions.FINGERPRINTS);
+
+    const store = new protocol.MemoryStore([ Buffer.from('a0') ]);
+    a.reconcile(store, { timeout: 50 }).catch((err) => {
+      assert.equal(err.code, 'ERR_TIMEOUT');
+      assert.equal(a._reconciliations.size, 0);
+      cb();
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should rekey both directions', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+
+    const events = { a: [], b: [] };
+    a.on('rekey', e => events.a.push(e));
+    b.on('rekey', e => events.b.push(e));
+
+    bothSecure(a, b, () => {
+      const received = [];
+      b.on('message', (msg) => {
+        if (msg.type !== 'data')
+          return;
+        received.push(msg.body.values[0].toString());
+        if (received.length !== 3)
+          return;
+
+        assert.deepEqual(received, [ 'a', 'b', 'c' ]);
+        b.rekey((err) => {
+          assert(!err);
+          b.ping((err) => {
+            assert(!err);
+            assert.deepEqual(events.a, [
+              { local: true, generation: 1 },
+              { local: true, generation: 2 },
+              { local: false, generation: 1 }
+            ]);
+            assert.deepEqual(events.b, [
+              { local: false, generation: 1 },
+              { local: false, generation: 2 },
+              { local: true, generation: 1 }
+            ]);
+            cb();
+          });
+        });
+      });
+
+      a.data({ values: [ Buffer.from('a') ] });
+      a.rekey();
+      a.data({ values: [ Buffer.from('b') ] });
+      a.rekey();
+      a.data({ values: [ Buffer.from('c') ] });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should rekey after sent bytes', (cb) => {
+    const a = new Stream({ rekeyBytes: 1024 });
+    const b = new Stream();
+
+    let rekeys = 0;
+    b.on('rekey', ({ local }) => {
+      assert(!local);
+      rekeys++;
+    });
+
+    bothSecure(a, b, () => {
+      let received = 0;
+      b.on('message', (msg) => {
+        if (msg.type !== 'data' || ++received !== 16)
+          return;
+        assert(rekeys >= 7, `${rekeys} rekeys`);
+        cb();
+      });
+
+      for (let i = 0; i < 16; i++)
+        a.data({ values: [ Buffer.alloc(512, i) ] });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should stop rekeying on close', (cb) => {
+    const a = new Stream({ rekeyInterval: 10 });
+    const b = new Stream();
+
+    a.on('rekey', () => assert(false));
+
+    bothSecure(a, b, () => {
+      a.close();
+      assert.strictEqual(a._rekey.timer, null);
+
+      a.rekey((err) => {
+        assert.equal(err.code, 'ERR_CLOSED');
+        setTimeout(() => {
+          a.destroy();
+          b.destroy();
+          cb();
+        }, 50);
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
+    b.start({ feedKey: publicKey, privateKey, chain: [] });
+  });
+
+  it('should not rekey with legacy peer', (cb) => {
+    const a = new Stream();
+    const b = new Stream();
+    legacy(b);
+
+    bothSecure(a, b, () => {
+      a.rekey((err) => {
+        assert.equal(err.code, 'ERR_UNSUPPORTED');
+        cb();
+      });
+    });
+
+    a.pipe(b);
+    b.pipe(a);
+
+    a.start({ feedKey: publicKey, privateKey, chain: [] });
     b.start({ feedKey: publicKey, privateKey, chain: [] });
   });
 });